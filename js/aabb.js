@@ -0,0 +1,44 @@
+/**
+ * Axis-aligned bounding box used by the simulation (no THREE dependency)
+ */
+class AABB {
+    constructor(min = { x: 0, y: 0, z: 0 }, max = { x: 0, y: 0, z: 0 }) {
+        this.min = { x: min.x, y: min.y, z: min.z };
+        this.max = { x: max.x, y: max.y, z: max.z };
+    }
+
+    /**
+     * Set the box from its center and size
+     * @param {Object} center Center point {x, y, z}
+     * @param {Object} size Box dimensions {x, y, z}
+     * @returns {AABB} This box
+     */
+    setFromCenterAndSize(center, size) {
+        this.min.x = center.x - size.x / 2;
+        this.min.y = center.y - size.y / 2;
+        this.min.z = center.z - size.z / 2;
+        this.max.x = center.x + size.x / 2;
+        this.max.y = center.y + size.y / 2;
+        this.max.z = center.z + size.z / 2;
+        return this;
+    }
+
+    /**
+     * Check whether this box overlaps another
+     * @param {AABB} other Box to test against
+     * @returns {boolean} True if the boxes intersect
+     */
+    intersects(other) {
+        return this.min.x <= other.max.x && this.max.x >= other.min.x &&
+            this.min.y <= other.max.y && this.max.y >= other.min.y &&
+            this.min.z <= other.max.z && this.max.z >= other.min.z;
+    }
+
+    /**
+     * Create a copy of this box
+     * @returns {AABB} New box
+     */
+    clone() {
+        return new AABB(this.min, this.max);
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Achievements for the endless runner game, unlocked by reaching stat thresholds
+ */
+class AchievementTracker {
+    /**
+     * @param {StatsTracker} stats Stats the achievements are checked against
+     * @param {Storage|null} storage Where unlocked achievements are kept (none if null)
+     */
+    constructor(stats, storage = null) {
+        this.stats = stats;
+        this.storage = storage;
+        this.saveEnabled = true; // Disabled while watching replays
+        this.unlocked = this.load(); // Map of achievement ID to unlock date
+    }
+
+    /**
+     * Get the achievement definitions. Each one unlocks when a stat (see
+     * StatsTracker.get) reaches atLeast:
+     * - scope: run (within one run) or lifetime (over all finished runs plus the current one)
+     * - difficulty: only counts on this difficulty (any if omitted)
+     * @returns {Object[]} Definitions {id, name, description, stat, scope, atLeast, difficulty}
+     */
+    static get definitions() {
+        return [
+            { id: 'warm-up', name: 'Warm-Up', description: 'Run 250m in one run', stat: 'distance', scope: 'run', atLeast: 250 },
+            { id: 'marathon', name: 'Marathon', description: 'Run 42km over all runs', stat: 'distance', scope: 'lifetime', atLeast: 42000 },
+            { id: 'lumberjack', name: 'Lumberjack', description: 'Clear 50 logs', stat: 'obstaclesPassed.log', scope: 'lifetime', atLeast: 50 },
+            { id: 'rock-hopper', name: 'Rock Hopper', description: 'Clear 100 rocks', stat: 'obstaclesPassed.rock', scope: 'lifetime', atLeast: 100 },
+            { id: 'limbo', name: 'Limbo', description: 'Clear 25 barriers', stat: 'obstaclesPassed.barrier', scope: 'lifetime', atLeast: 25 },
+            { id: 'bunny', name: 'Bunny', description: 'Jump 500 times', stat: 'jumps', scope: 'lifetime', atLeast: 500 },
+            { id: 'tunnel-vision', name: 'Tunnel Vision', description: 'Never change lanes for 30 seconds', stat: 'longestInLane', scope: 'run', atLeast: 30 },
+            { id: 'survivor', name: 'Survivor', description: 'Survive 2 minutes on Hard', stat: 'timeAlive', scope: 'run', atLeast: 120, difficulty: 'hard' },
+            { id: 'speed-demon', name: 'Speed Demon', description: 'Reach a speed of 20m/s', stat: 'topSpeed', scope: 'run', atLeast: 20 },
+            { id: 'daredevil', name: 'Daredevil', description: 'Get 25 close calls', stat: 'nearMisses', scope: 'lifetime', atLeast: 25 },
+            { id: 'regular', name: 'Regular', description: 'Finish 50 runs', stat: 'runs', scope: 'lifetime', atLeast: 50 }
+        ];
+    }
+
+    /**
+     * Load unlocked achievements from storage
+     * @returns {Object} Map of achievement ID to unlock date
+     */
+    load() {
+        const saved = this.storage ? this.storage.getItem('endlessRunnerAchievements') : null;
+        if (!saved) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(saved);
+        } catch (error) {
+            console.warn('Ignoring unreadable achievements:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save unlocked achievements to storage
+     */
+    save() {
+        if (this.storage) {
+            this.storage.setItem('endlessRunnerAchievements', JSON.stringify(this.unlocked));
+        }
+    }
+
+    /**
+     * Check whether an achievement is unlocked
+     * @param {string} id Achievement ID
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked(id) {
+        return id in this.unlocked;
+    }
+
+    /**
+     * Unlock every achievement whose condition is now met
+     * @param {string} difficulty Difficulty of the current run
+     * @returns {Object[]} Definitions of the achievements unlocked by this check
+     */
+    check(difficulty) {
+        if (!this.saveEnabled) {
+            return [];
+        }
+
+        const unlocked = AchievementTracker.definitions.filter(definition =>
+            !this.isUnlocked(definition.id) &&
+            (!definition.difficulty || definition.difficulty === difficulty) &&
+            this.stats.get(definition.scope, definition.stat) >= definition.atLeast
+        );
+
+        if (unlocked.length > 0) {
+            const date = new Date().toISOString();
+            unlocked.forEach(definition => this.unlocked[definition.id] = date);
+            this.save();
+        }
+        return unlocked;
+    }
+}
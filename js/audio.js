@@ -0,0 +1,215 @@
+/**
+ * Audio for the endless runner game: procedural sound effects and music,
+ * triggered by watching the simulation like the renderers do
+ */
+class AudioManager {
+    /**
+     * @param {Object} options
+     * @param {BaseAudioContext} options.context Audio context (an OfflineAudioContext for tests; a new AudioContext if omitted)
+     * @param {Storage|null} options.storage Where volumes are kept (none if null)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.context = options.context || AudioManager.createContext();
+        this.lookahead = 0.2; // Seconds of music scheduled ahead
+
+        // Volumes (0-1) and mute, saved between sessions
+        this.volumes = { master: 0.8, music: 0.5, sfx: 0.8 };
+        this.muted = false;
+        this.loadVolumes();
+
+        // Set while fast-forwarding (e.g. seeking a replay): state is tracked, nothing plays
+        this.catchingUp = false;
+
+        // Simulation state seen on the last update
+        this.resetObservation();
+
+        // Browsers without Web Audio stay silent
+        if (!this.context) {
+            return;
+        }
+
+        // Music and effects have their own volume under the master volume
+        this.masterGain = this.context.createGain();
+        this.musicGain = this.context.createGain();
+        this.sfxGain = this.context.createGain();
+        this.musicGain.connect(this.masterGain);
+        this.sfxGain.connect(this.masterGain);
+        this.masterGain.connect(this.context.destination);
+        this.applyVolumes();
+
+        this.synth = new SoundSynth(this.context);
+        this.music = new MusicLoop(this.synth, this.musicGain);
+    }
+
+    /**
+     * Create an audio context if the browser supports Web Audio
+     * @returns {AudioContext|null} Audio context
+     */
+    static createContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return AudioContextClass ? new AudioContextClass() : null;
+    }
+
+    /**
+     * Load volumes from storage
+     */
+    loadVolumes() {
+        const saved = this.storage ? this.storage.getItem('endlessRunnerAudio') : null;
+        if (!saved) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(saved);
+            for (const channel of Object.keys(this.volumes)) {
+                if (typeof data[channel] === 'number') {
+                    this.volumes[channel] = Math.min(Math.max(data[channel], 0), 1);
+                }
+            }
+            this.muted = data.muted === true;
+        } catch (error) {
+            console.warn('Ignoring unreadable audio settings:', error);
+        }
+    }
+
+    /**
+     * Save volumes to storage
+     */
+    saveVolumes() {
+        if (this.storage) {
+            this.storage.setItem('endlessRunnerAudio', JSON.stringify({ ...this.volumes, muted: this.muted }));
+        }
+    }
+
+    /**
+     * Set the gains from the volumes
+     */
+    applyVolumes() {
+        if (!this.context) {
+            return;
+        }
+
+        this.masterGain.gain.value = this.muted ? 0 : this.volumes.master;
+        this.musicGain.gain.value = this.volumes.music;
+        this.sfxGain.gain.value = this.volumes.sfx;
+    }
+
+    /**
+     * Change a volume
+     * @param {string} channel master, music or sfx
+     * @param {number} volume Volume (0-1)
+     */
+    setVolume(channel, volume) {
+        if (!(channel in this.volumes)) {
+            throw new Error(`Unknown audio channel: ${channel}`);
+        }
+
+        this.volumes[channel] = Math.min(Math.max(volume, 0), 1);
+        this.applyVolumes();
+        this.saveVolumes();
+    }
+
+    /**
+     * Mute or unmute everything
+     * @param {boolean} muted Whether audio is muted
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+        this.saveVolumes();
+    }
+
+    /**
+     * Let a suspended context play (browsers only allow it after a user gesture)
+     */
+    resume() {
+        if (this.context && this.context.state === 'suspended' && this.context.resume) {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * Start the music loop
+     */
+    startMusic() {
+        if (this.context) {
+            this.music.start();
+        }
+    }
+
+    /**
+     * Stop the music loop
+     */
+    stopMusic() {
+        if (this.context) {
+            this.music.stop();
+        }
+    }
+
+    /**
+     * Forget the simulation state seen so far (at the start of a run)
+     */
+    resetObservation() {
+        this.wasJumping = false;
+        this.wasAirborne = false;
+        this.legDirection = null;
+        this.leftFoot = false;
+        this.activeFlyers = new Set();
+    }
+
+    /**
+     * Play the sounds for what changed in the simulation and environment since the last update
+     * @param {Simulation} simulation Simulation after a step
+     * @param {Environment} environment Scenery with the flying objects
+     */
+    update(simulation, environment) {
+        const player = simulation.player;
+        const airborne = player.isJumping || player.isFalling;
+        const sounds = [];
+
+        // Jumps and landings
+        if (player.isJumping && !this.wasJumping) {
+            sounds.push(destination => this.synth.jump(destination, this.context.currentTime));
+        }
+        if (this.wasAirborne && !airborne) {
+            sounds.push(destination => this.synth.land(destination, this.context.currentTime));
+        }
+
+        // A footstep each time the legs swing back (see Player.animateRunning)
+        const running = !airborne && !player.isSliding;
+        if (running && this.legDirection !== null && player.legRotationDirection !== this.legDirection) {
+            this.leftFoot = !this.leftFoot;
+            const left = this.leftFoot;
+            sounds.push(destination => this.synth.footstep(destination, this.context.currentTime, left));
+        }
+
+        // Collisions sound like the obstacle hit
+        for (const collision of simulation.collisions) {
+            sounds.push(destination => this.synth.crunch(destination, this.context.currentTime, collision.type, !!collision.shielded));
+        }
+
+        // Flybys of airplanes and birds that just appeared
+        const flyers = new Set(environment.flyingObjects.filter(flyer => flyer.active));
+        for (const flyer of flyers) {
+            if (!this.activeFlyers.has(flyer)) {
+                sounds.push(destination => this.synth.flyby(destination, this.context.currentTime, flyer.type));
+            }
+        }
+
+        this.wasJumping = player.isJumping;
+        this.wasAirborne = airborne;
+        this.legDirection = player.legRotationDirection;
+        this.activeFlyers = flyers;
+
+        if (!this.context || this.catchingUp) {
+            return;
+        }
+
+        sounds.forEach(play => play(this.sfxGain));
+
+        // Music follows the run's speed
+        this.music.setSpeedRatio(simulation.obstacles.speed / simulation.obstacles.initialSpeed);
+        this.music.schedule(this.context.currentTime + this.lookahead);
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Mirrors the simulated coins into the THREE scene
+ */
+class CoinRenderer {
+    constructor(scene, coinManager) {
+        this.scene = scene;
+        this.coinManager = coinManager;
+        
+        // Coins share one geometry and material
+        this.geometry = new THREE.CylinderGeometry(0.4, 0.4, 0.1, 16);
+        this.geometry.rotateX(Math.PI / 2); // Face the camera
+        this.material = new THREE.MeshPhongMaterial({
+            color: 0xf1c40f,
+            emissive: 0x7d6608,
+            shininess: 80
+        });
+        
+        // Meshes stay attached to their (pooled) coin objects
+        this.meshes = new Map();
+        this.visibleMeshes = [];
+    }
+    
+    /**
+     * Get the mesh for a coin, creating it on first use
+     * @param {Object} coin Simulated coin
+     * @returns {THREE.Mesh} Coin mesh
+     */
+    getMesh(coin) {
+        let mesh = this.meshes.get(coin);
+        
+        if (!mesh) {
+            mesh = new THREE.Mesh(this.geometry, this.material);
+            mesh.visible = false;
+            this.scene.add(mesh);
+            this.meshes.set(coin, mesh);
+        }
+        
+        return mesh;
+    }
+    
+    /**
+     * Copy the simulated coins onto their meshes
+     */
+    sync() {
+        // Hide meshes of coins that were collected or passed
+        for (const mesh of this.visibleMeshes) {
+            mesh.visible = false;
+        }
+        
+        this.visibleMeshes = this.coinManager.activeCoins.map(coin => {
+            const mesh = this.getMesh(coin);
+            
+            mesh.position.set(coin.position.x, coin.position.y, coin.position.z);
+            mesh.rotation.y = coin.rotation;
+            mesh.visible = true;
+            
+            return mesh;
+        });
+    }
+}
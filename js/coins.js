@@ -0,0 +1,253 @@
+/**
+ * Collectible coins for the endless runner game (simulation state only, see CoinRenderer)
+ */
+class CoinManager {
+    /**
+     * @param {RandomGenerator} random Gameplay random generator
+     * @param {LaneLayout} lanes Lane layout shared with the player
+     * @param {ObstacleManager} obstacles Obstacle manager (coins move with the track and avoid obstacles)
+     */
+    constructor(random, lanes, obstacles) {
+        this.random = random;
+        this.lanes = lanes;
+        this.obstacles = obstacles;
+        this.activeCoins = [];
+        this.coinPool = [];
+
+        // Coin shape
+        this.size = { x: 0.8, y: 0.8, z: 0.2 };
+        this.height = 1; // Center height above the ground
+        this.spinSpeed = 0.08; // Radians per tick at 60Hz
+
+        // Rows run alongside a formation in a lane it leaves free
+        this.rowChance = 0.6;
+        this.rowLength = 6;
+        this.rowLead = 4; // Distance the row starts before the formation
+        this.coinSpacing = 2;
+
+        // Arcs follow a jump over obstacles that can be jumped
+        this.arcChance = 0.5;
+        this.arcTypes = ['rock', 'log'];
+        this.arcLength = 6; // Half the length of the arc
+        this.arcHeight = 2; // Extra height at the top of the arc
+        this.arcCoins = 7;
+
+        // Magnet power-up
+        this.magnetRadius = 8;
+        this.magnetSpeed = 0.5; // Units per tick at 60Hz
+
+        // Preload some coins
+        this.preloadCoins(20);
+    }
+
+    /**
+     * Preload coins to improve performance
+     * @param {number} count Number of coins to preload
+     */
+    preloadCoins(count) {
+        for (let i = 0; i < count; i++) {
+            this.coinPool.push(this.createCoin());
+        }
+    }
+
+    /**
+     * Create a new coin
+     * @returns {Object} Coin object
+     */
+    createCoin() {
+        return {
+            position: { x: 0, y: 0, z: 0 },
+            collider: new AABB(),
+            active: false,
+            lane: 0,
+            rotation: 0 // Spin around the vertical axis
+        };
+    }
+
+    /**
+     * Place coins alongside and over a formation that was just spawned
+     * @param {Object} plan Plan from ObstacleManager.planFormation
+     */
+    spawnForPlan(plan) {
+        if (plan.obstacles.length === 0) {
+            return;
+        }
+
+        // A row in a lane the formation leaves free
+        if (this.random.next() < this.rowChance) {
+            const freeLanes = [];
+            for (let lane = 0; lane < this.lanes.count; lane++) {
+                if (!plan.obstacles.some(entry => entry.lane === lane)) {
+                    freeLanes.push(lane);
+                }
+            }
+
+            if (freeLanes.length > 0) {
+                const lane = this.random.pick(freeLanes);
+                const start = Math.min(...plan.obstacles.map(entry => entry.distance)) - this.rowLead;
+                for (let i = 0; i < this.rowLength; i++) {
+                    this.spawnCoin(lane, start + i * this.coinSpacing, this.height);
+                }
+            }
+        }
+
+        // Arcs over obstacles the player can jump
+        for (const entry of plan.obstacles) {
+            if (this.arcTypes.includes(entry.type) && this.random.next() < this.arcChance) {
+                this.spawnArc(entry.lane, entry.distance);
+            }
+        }
+    }
+
+    /**
+     * Spawn coins along a jump arc centered on a distance
+     * @param {number} lane Lane index
+     * @param {number} distance Distance of the arc's top in front of the origin
+     */
+    spawnArc(lane, distance) {
+        for (let i = 0; i < this.arcCoins; i++) {
+            // -1 at the start of the arc, 1 at the end
+            const t = (i / (this.arcCoins - 1)) * 2 - 1;
+            const height = this.height + this.arcHeight * (1 - t * t);
+            this.spawnCoin(lane, distance + t * this.arcLength, height);
+        }
+    }
+
+    /**
+     * Spawn a coin
+     * @param {number} lane Lane index
+     * @param {number} distance Distance in front of the origin
+     * @param {number} height Center height above the ground
+     */
+    spawnCoin(lane, distance, height) {
+        const coin = this.coinPool.length > 0 ? this.coinPool.pop() : this.createCoin();
+
+        coin.lane = lane;
+        coin.position.x = this.lanes.getLaneX(lane);
+        coin.position.y = height;
+        coin.position.z = -distance;
+        coin.rotation = 0;
+        coin.active = true;
+
+        this.updateCoinCollider(coin);
+        this.activeCoins.push(coin);
+    }
+
+    /**
+     * Update coin collider
+     * @param {Object} coin Coin to update
+     */
+    updateCoinCollider(coin) {
+        coin.collider.setFromCenterAndSize(coin.position, this.size);
+    }
+
+    /**
+     * Return a coin to the pool
+     * @param {number} index Index in activeCoins
+     */
+    removeCoin(index) {
+        const coin = this.activeCoins[index];
+        coin.active = false;
+        this.activeCoins.splice(index, 1);
+        this.coinPool.push(coin);
+    }
+
+    /**
+     * Collect every coin touching the player
+     * @param {Player} player The player
+     * @returns {number} Number of coins collected
+     */
+    collect(player) {
+        let collected = 0;
+
+        for (let i = this.activeCoins.length - 1; i >= 0; i--) {
+            if (this.activeCoins[i].collider.intersects(player.collider)) {
+                this.removeCoin(i);
+                collected++;
+            }
+        }
+
+        return collected;
+    }
+
+    /**
+     * Update coins
+     * @param {number} deltaTime Time since last update in seconds
+     * @param {Player|null} magnet Player pulling coins in while the magnet power-up is active
+     */
+    update(deltaTime, magnet = null) {
+        // Number of 60Hz ticks this update covers
+        const ticks = deltaTime * 60;
+
+        for (let i = this.activeCoins.length - 1; i >= 0; i--) {
+            const coin = this.activeCoins[i];
+
+            // Fly toward the magnet when in range, otherwise move with the track
+            if (!magnet || !this.pullCoin(coin, magnet, ticks)) {
+                coin.position.z += this.obstacles.speed * ticks;
+            }
+
+            // Spin in place
+            coin.rotation += this.spinSpeed * ticks;
+            this.updateCoinCollider(coin);
+
+            // Remove if passed player
+            if (coin.position.z > 10) {
+                this.removeCoin(i);
+            }
+        }
+    }
+
+    /**
+     * Move a coin toward the center of the player's collider
+     * @param {Object} coin Coin to move
+     * @param {Player} player Player holding the magnet
+     * @param {number} ticks Number of 60Hz ticks to advance
+     * @returns {boolean} True if the coin was in range and moved
+     */
+    pullCoin(coin, player, ticks) {
+        const { dx, dy, dz, distance } = this.getOffsetToPlayer(coin, player);
+        if (distance > this.magnetRadius) {
+            return false;
+        }
+
+        const step = Math.min(this.magnetSpeed * ticks, distance) / (distance || 1);
+        coin.position.x += dx * step;
+        coin.position.y += dy * step;
+        coin.position.z += dz * step;
+        return true;
+    }
+
+    /**
+     * Check whether the magnet pulls a coin in
+     * @param {Object} coin Coin to check
+     * @param {Player} player Player holding the magnet
+     * @returns {boolean} True if the coin is in range
+     */
+    isInMagnetRange(coin, player) {
+        return this.getOffsetToPlayer(coin, player).distance <= this.magnetRadius;
+    }
+
+    /**
+     * Get the offset from a coin to the center of the player's collider
+     * @param {Object} coin Coin
+     * @param {Player} player Player
+     * @returns {Object} {dx, dy, dz, distance}
+     */
+    getOffsetToPlayer(coin, player) {
+        const { min, max } = player.collider;
+        const dx = (min.x + max.x) / 2 - coin.position.x;
+        const dy = (min.y + max.y) / 2 - coin.position.y;
+        const dz = (min.z + max.z) / 2 - coin.position.z;
+        return { dx, dy, dz, distance: Math.sqrt(dx * dx + dy * dy + dz * dz) };
+    }
+
+    /**
+     * Reset all coins
+     */
+    reset() {
+        for (let i = this.activeCoins.length - 1; i >= 0; i--) {
+            this.removeCoin(i);
+        }
+    }
+}
@@ -6,28 +6,126 @@ class CollisionDetector {
         this.player = player;
         this.obstacles = obstacles;
         this.collisionThreshold = 0.8; // Adjust for collision sensitivity
+        this.events = null; // EventBus collisions and near misses are published to
     }
 
     /**
      * Check for collisions between player and all obstacles
-     * @returns {boolean} True if collision detected
+     * @returns {Object[]} Collisions as {obstacle, type, side}
      */
     checkCollisions() {
-        if (!this.player.mesh || !this.player.collider) {
-            return false;
+        const collisions = [];
+
+        if (!this.player.collider) {
+            return collisions;
+        }
+
+        // Hits are ignored while recovering from the last one
+        if (this.player.invulnerableTimer > 0) {
+            return collisions;
         }
 
         // Update player collider position
         this.player.updateCollider();
 
-        // Check collision with each obstacle
+        // Check collision with each obstacle that has not already been hit
         for (const obstacle of this.obstacles.activeObstacles) {
-            if (this.checkObstacleCollision(obstacle)) {
-                return true;
+            if (!obstacle.hit && this.checkObstacleCollision(obstacle)) {
+                collisions.push({
+                    obstacle: obstacle,
+                    type: obstacle.type,
+                    side: this.getCollisionSide(obstacle)
+                });
             }
         }
 
-        return false;
+        if (this.events) {
+            collisions.forEach(collision => this.events.emit('collision', { ...collision }));
+        }
+
+        return collisions;
+    }
+
+    /**
+     * Find obstacles the player just passed by a narrow margin without touching them.
+     * Call after the collisions of the tick have been applied, so obstacles hit
+     * this tick are already marked.
+     * @returns {Object[]} Near misses as {obstacle, type}
+     */
+    checkNearMisses() {
+        const nearMisses = [];
+
+        // Passing through obstacles while recovering from a hit is no close call
+        if (!this.player.collider || this.player.invulnerableTimer > 0) {
+            return nearMisses;
+        }
+
+        for (const obstacle of this.obstacles.activeObstacles) {
+            if (obstacle.hit || obstacle.nearMissCounted || !obstacle.nearMissMargin) {
+                continue;
+            }
+
+            if (!obstacle.grazed && this.checkNearMiss(obstacle)) {
+                obstacle.grazed = true;
+            }
+
+            // Counted once the obstacle is behind the player, in case it still gets hit
+            if (obstacle.grazed && obstacle.collider.min.z > this.player.collider.max.z) {
+                obstacle.nearMissCounted = true;
+                nearMisses.push({ obstacle: obstacle, type: obstacle.type });
+            }
+        }
+
+        if (this.events) {
+            nearMisses.forEach(nearMiss => this.events.emit('nearMiss', { ...nearMiss }));
+        }
+
+        return nearMisses;
+    }
+
+    /**
+     * Check whether the player is within an obstacle's near miss margins
+     * @param {Object} obstacle The obstacle to check
+     * @param {Player} player Player to test (defaults to the real one)
+     * @returns {boolean} True if the player is close to the obstacle
+     */
+    checkNearMiss(obstacle, player = this.player) {
+        const margin = obstacle.nearMissMargin;
+        const box = obstacle.collider.clone();
+
+        box.min.x -= margin.side;
+        box.max.x += margin.side;
+        box.max.y += margin.top;
+
+        return box.intersects(player.collider);
+    }
+
+    /**
+     * Work out which side of an obstacle the player hit, using the axis of least overlap
+     * @param {Object} obstacle The obstacle that was hit
+     * @param {Player} player Player to test (defaults to the real one)
+     * @returns {string} top, front, left or right
+     */
+    getCollisionSide(obstacle, player = this.player) {
+        const playerBox = player.collider;
+        const obstacleBox = obstacle.collider;
+
+        const overlapX = Math.min(playerBox.max.x, obstacleBox.max.x) - Math.max(playerBox.min.x, obstacleBox.min.x);
+        const overlapY = Math.min(playerBox.max.y, obstacleBox.max.y) - Math.max(playerBox.min.y, obstacleBox.min.y);
+        const overlapZ = Math.min(playerBox.max.z, obstacleBox.max.z) - Math.max(playerBox.min.z, obstacleBox.min.z);
+
+        const playerCenterY = (playerBox.min.y + playerBox.max.y) / 2;
+        const obstacleCenterY = (obstacleBox.min.y + obstacleBox.max.y) / 2;
+
+        if (overlapY <= overlapX && overlapY <= overlapZ && playerCenterY > obstacleCenterY) {
+            return 'top';
+        }
+
+        if (overlapX < overlapZ) {
+            return player.position.x < obstacle.position.x ? 'left' : 'right';
+        }
+
+        return 'front';
     }
 
     /**
@@ -40,48 +138,7 @@ class CollisionDetector {
             return false;
         }
 
-        // Get player bounding box
-        const playerBox = this.player.collider.clone();
-        
-        // Get obstacle bounding box
-        const obstacleBox = obstacle.collider.clone();
-        
         // Check for intersection
-        return playerBox.intersectsBox(obstacleBox);
-    }
-
-    /**
-     * Create a bounding box for collision detection
-     * @param {THREE.Mesh} mesh The mesh to create a bounding box for
-     * @param {number} scaleX X scale factor for the box
-     * @param {number} scaleY Y scale factor for the box
-     * @param {number} scaleZ Z scale factor for the box
-     * @returns {THREE.Box3} The bounding box
-     */
-    createBoundingBox(mesh, scaleX = 1, scaleY = 1, scaleZ = 1) {
-        const box = new THREE.Box3().setFromObject(mesh);
-        
-        // Scale the box dimensions
-        const size = new THREE.Vector3();
-        box.getSize(size);
-        
-        const center = new THREE.Vector3();
-        box.getCenter(center);
-        
-        // Create a new box with scaled dimensions
-        const scaledBox = new THREE.Box3(
-            new THREE.Vector3(
-                center.x - (size.x * scaleX) / 2,
-                center.y - (size.y * scaleY) / 2,
-                center.z - (size.z * scaleZ) / 2
-            ),
-            new THREE.Vector3(
-                center.x + (size.x * scaleX) / 2,
-                center.y + (size.y * scaleY) / 2,
-                center.z + (size.z * scaleZ) / 2
-            )
-        );
-        
-        return scaledBox;
+        return this.player.collider.intersects(obstacle.collider);
     }
 }
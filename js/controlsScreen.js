@@ -0,0 +1,131 @@
+/**
+ * Controls screen for the endless runner game: rebinds each action to a key
+ */
+class ControlsScreen {
+    /**
+     * @param {KeyboardInput} keyboard Keyboard backend whose bindings are edited
+     * @param {Function} onClose Called after the screen closes
+     */
+    constructor(keyboard, onClose) {
+        this.keyboard = keyboard;
+        this.onClose = onClose;
+        this.isOpen = false;
+
+        // DOM elements
+        this.container = document.getElementById('controls-screen');
+        this.list = document.getElementById('controls-list');
+        this.messageElement = document.getElementById('controls-message');
+        this.resetButton = document.getElementById('controls-reset-button');
+        this.backButton = document.getElementById('controls-back-button');
+
+        // One row per action
+        this.bindButtons = {};
+        for (const action of InputManager.actions) {
+            const row = document.createElement('div');
+            row.className = 'controls-row';
+
+            const label = document.createElement('span');
+            label.textContent = ControlsScreen.labels[action];
+
+            const button = document.createElement('button');
+            button.addEventListener('click', () => this.startRebinding(action));
+
+            row.appendChild(label);
+            row.appendChild(button);
+            this.list.appendChild(row);
+            this.bindButtons[action] = button;
+        }
+
+        // Event listeners
+        this.resetButton.addEventListener('click', () => this.resetBindings());
+        this.backButton.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Get the name shown for each action
+     * @returns {Object} Map of action name to label
+     */
+    static get labels() {
+        return {
+            jump: 'Jump',
+            left: 'Move left',
+            right: 'Move right',
+            slide: 'Slide',
+            pause: 'Pause',
+            confirm: 'Start / confirm'
+        };
+    }
+
+    /**
+     * Show the screen
+     */
+    open() {
+        this.isOpen = true;
+        this.showMessage('Click an action, then press its new key.');
+        this.updateBindings();
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the screen
+     */
+    close() {
+        this.keyboard.cancelCapture();
+        this.isOpen = false;
+        this.container.classList.add('hidden');
+        this.onClose();
+    }
+
+    /**
+     * Show the current key of every action
+     */
+    updateBindings() {
+        for (const action of InputManager.actions) {
+            const names = this.keyboard.bindings[action].map(code => this.keyboard.getKeyName(code));
+            this.bindButtons[action].textContent = names.join(' / ');
+        }
+    }
+
+    /**
+     * Show a hint or error under the list
+     * @param {string} text Message
+     */
+    showMessage(text) {
+        this.messageElement.textContent = text;
+    }
+
+    /**
+     * Wait for the key to bind an action to
+     * @param {string} action Action name
+     */
+    startRebinding(action) {
+        this.updateBindings();
+        this.bindButtons[action].textContent = 'Press a key...';
+        this.showMessage(`Press the key for ${ControlsScreen.labels[action].toLowerCase()} (Escape cancels).`);
+
+        this.keyboard.captureNextKey(event => {
+            // Escape cancels, unless it is the key being picked for pause
+            if (event.code === 'Escape' && action !== 'pause') {
+                this.showMessage('Cancelled.');
+            } else {
+                const conflict = this.keyboard.bind(action, event.code, event.key);
+                if (conflict) {
+                    this.showMessage(`${this.keyboard.getKeyName(event.code)} is already used for ${ControlsScreen.labels[conflict].toLowerCase()}.`);
+                } else {
+                    this.showMessage(`${ControlsScreen.labels[action]} is now ${this.keyboard.getKeyName(event.code)}.`);
+                }
+            }
+            this.updateBindings();
+        });
+    }
+
+    /**
+     * Go back to the default bindings
+     */
+    resetBindings() {
+        this.keyboard.cancelCapture();
+        this.keyboard.resetBindings();
+        this.updateBindings();
+        this.showMessage('Controls reset to the defaults.');
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * Named difficulty profiles for the endless runner game
+ */
+class DifficultyProfiles {
+    /**
+     * Get every profile by name. Each profile defines:
+     * - speed: obstacle speed (units per tick at 60Hz) starting at initial, rising by
+     *   increasePerScore for each point of score, up to max
+     * - spawnInterval: seconds between formations, tightening linearly from
+     *   [min, max] to [finalMin, finalMax] by tightenScore
+     * - obstacleWeights: relative chance of each obstacle type where formations ask for a random one
+     * - player: player tuning (jumpForce and lateralSpeed in units per tick, gravity in units per tick squared)
+     * @returns {Object} Map of profile name to profile
+     */
+    static get profiles() {
+        return {
+            easy: {
+                label: 'Easy',
+                speed: { initial: 0.16, increasePerScore: 0.0002, max: 0.3 },
+                spawnInterval: { min: 2, max: 3.5, finalMin: 1.5, finalMax: 2.5, tightenScore: 600 },
+                obstacleWeights: { rock: 3, log: 2, tree: 1, puddle: 3, barrier: 1 },
+                player: { jumpForce: 0.16, gravity: 0.0045, lateralSpeed: 0.3 }
+            },
+            normal: {
+                label: 'Normal',
+                speed: { initial: 0.2, increasePerScore: 0.0004, max: 0.4 },
+                spawnInterval: { min: 1.5, max: 3, finalMin: 1.1, finalMax: 2, tightenScore: 500 },
+                obstacleWeights: { rock: 1, log: 1, tree: 1, puddle: 1, barrier: 1 },
+                player: { jumpForce: 0.15, gravity: 0.005, lateralSpeed: 0.3 }
+            },
+            hard: {
+                label: 'Hard',
+                speed: { initial: 0.24, increasePerScore: 0.0006, max: 0.5 },
+                spawnInterval: { min: 1.2, max: 2.4, finalMin: 0.9, finalMax: 1.6, tightenScore: 400 },
+                obstacleWeights: { rock: 1, log: 1, tree: 2, puddle: 1, barrier: 2 },
+                player: { jumpForce: 0.16, gravity: 0.006, lateralSpeed: 0.35 }
+            },
+            insane: {
+                label: 'Insane',
+                speed: { initial: 0.3, increasePerScore: 0.0008, max: 0.6 },
+                spawnInterval: { min: 1, max: 1.8, finalMin: 0.7, finalMax: 1.2, tightenScore: 300 },
+                obstacleWeights: { rock: 1, log: 1, tree: 3, puddle: 1, barrier: 3 },
+                player: { jumpForce: 0.17, gravity: 0.0065, lateralSpeed: 0.4 }
+            }
+        };
+    }
+
+    /**
+     * Get a profile by name
+     * @param {string} name Profile name
+     * @returns {Object} Profile
+     */
+    static get(name) {
+        const profile = DifficultyProfiles.profiles[name];
+
+        if (!profile) {
+            throw new Error(`Unknown difficulty: ${name}`);
+        }
+
+        return profile;
+    }
+}
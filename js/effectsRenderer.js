@@ -0,0 +1,109 @@
+/**
+ * Short-lived visual effects (splashes) for the endless runner game
+ */
+class EffectsRenderer {
+    constructor(scene, random) {
+        this.scene = scene;
+        this.random = random;
+        
+        // Pool of droplet meshes
+        this.droplets = [];
+        this.maxDroplets = 40;
+        this.dropletsPerSplash = 12;
+        this.dropletLifetime = 0.6; // Seconds
+        this.gravity = 0.01; // Units per tick squared at 60Hz
+        
+        this.createDroplets();
+    }
+    
+    /**
+     * Create the droplet pool
+     */
+    createDroplets() {
+        const geometry = new THREE.SphereGeometry(0.08, 6, 6);
+        const material = new THREE.MeshPhongMaterial({
+            color: 0x5dade2,
+            transparent: true,
+            opacity: 0.8
+        });
+        
+        for (let i = 0; i < this.maxDroplets; i++) {
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.visible = false;
+            this.scene.add(mesh);
+            
+            this.droplets.push({
+                mesh: mesh,
+                velocity: new THREE.Vector3(),
+                age: 0,
+                active: false
+            });
+        }
+    }
+    
+    /**
+     * Show the effect for a collision response
+     * @param {Object} collision Collision response from the simulation
+     * @param {Object} position Where the player was {x, y, z}
+     */
+    showCollision(collision, position) {
+        if (collision.effect === 'slow') {
+            this.spawnSplash(position);
+        }
+    }
+    
+    /**
+     * Throw up a splash of water droplets
+     * @param {Object} position Splash center {x, y, z}
+     */
+    spawnSplash(position) {
+        let spawned = 0;
+        
+        for (const droplet of this.droplets) {
+            if (droplet.active) continue;
+            if (spawned >= this.dropletsPerSplash) break;
+            
+            const angle = this.random.next() * Math.PI * 2;
+            const spread = 0.05 + this.random.next() * 0.05;
+            
+            droplet.mesh.position.set(position.x, 0.1, position.z);
+            droplet.velocity.set(Math.cos(angle) * spread, 0.12 + this.random.next() * 0.08, Math.sin(angle) * spread);
+            droplet.age = 0;
+            droplet.active = true;
+            droplet.mesh.visible = true;
+            spawned++;
+        }
+    }
+    
+    /**
+     * Get all meshes that move during the game
+     * @returns {THREE.Object3D[]} Moving meshes
+     */
+    getMovingMeshes() {
+        return this.droplets.filter(droplet => droplet.active).map(droplet => droplet.mesh);
+    }
+    
+    /**
+     * Update effects
+     * @param {number} speed Current game speed in units per tick at 60Hz
+     * @param {number} deltaTime Time since last update in seconds
+     */
+    update(speed, deltaTime) {
+        const ticks = deltaTime * 60;
+        
+        for (const droplet of this.droplets) {
+            if (!droplet.active) continue;
+            
+            droplet.velocity.y -= this.gravity * ticks;
+            droplet.mesh.position.x += droplet.velocity.x * ticks;
+            droplet.mesh.position.y += droplet.velocity.y * ticks;
+            droplet.mesh.position.z += (droplet.velocity.z + speed) * ticks;
+            droplet.age += deltaTime;
+            
+            if (droplet.age >= this.dropletLifetime || droplet.mesh.position.y < 0) {
+                droplet.active = false;
+                droplet.mesh.visible = false;
+            }
+        }
+    }
+}
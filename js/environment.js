@@ -2,9 +2,10 @@
  * Environment for the endless runner game
  */
 class Environment {
-    constructor(scene, textures) {
+    constructor(scene, textures, random) {
         this.scene = scene;
         this.textures = textures;
+        this.random = random;
         
         // Ground segments
         this.groundSegments = [];
@@ -19,11 +20,15 @@ class Environment {
         this.maxTrees = 15;
         this.maxClouds = 10;
         this.maxFlyingObjects = 5;
+        this.roadsideDetails = []; // Rocks along the road, thinned out with the trees
         
         // Flying object spawn timer
         this.flyingObjectTimer = 0;
         this.flyingObjectSpawnRate = 5; // Seconds between spawns
         
+        // Simulation time used for animations
+        this.elapsedTime = 0;
+        
         // Initialize environment
         this.createGround();
         this.createTrees();
@@ -42,9 +47,9 @@ class Environment {
             
             // Main grass area with texture - randomly select from available textures
             const grassTexture = Array.isArray(this.textures.grass) 
-                ? this.textures.grass[Math.floor(Math.random() * this.textures.grass.length)]
+                ? this.textures.grass[Math.floor(this.random.next() * this.textures.grass.length)]
                 : this.textures.grass;
-                
+            
             const grassMaterial = new THREE.MeshPhongMaterial({ 
                 map: grassTexture,
                 flatShading: true
@@ -70,8 +75,8 @@ class Environment {
                 // Only modify y values (height) and only for non-edge vertices
                 // and avoid modifying the center road area
                 const x = vertices[j];
-                if (j % 3 === 1 && Math.random() > 0.6 && Math.abs(x) > 2) {
-                    vertices[j] += (Math.random() - 0.5) * 0.2;
+                if (j % 3 === 1 && this.random.next() > 0.6 && Math.abs(x) > 2) {
+                    vertices[j] += (this.random.next() - 0.5) * 0.2;
                 }
             }
             
@@ -89,8 +94,8 @@ class Environment {
             // Add some subtle variation to the road
             const roadVertices = roadGeometry.attributes.position.array;
             for (let j = 0; j < roadVertices.length; j += 3) {
-                if (j % 3 === 1 && Math.random() > 0.8) {
-                    roadVertices[j] += (Math.random() - 0.5) * 0.05;
+                if (j % 3 === 1 && this.random.next() > 0.8) {
+                    roadVertices[j] += (this.random.next() - 0.5) * 0.05;
                 }
             }
             
@@ -103,6 +108,8 @@ class Environment {
             // Rotate and position
             groundMesh.rotation.x = -Math.PI / 2; // Rotate to be horizontal
             roadMesh.rotation.x = -Math.PI / 2; // Rotate to be horizontal
+            groundMesh.receiveShadow = true;
+            roadMesh.receiveShadow = true;
             
             segmentGroup.add(groundMesh);
             segmentGroup.add(roadMesh);
@@ -150,35 +157,39 @@ class Environment {
         
         for (let i = 0; i < numDetails; i++) {
             // Left side details
-            if (Math.random() > 0.5) {
-                const size = Math.random() * 0.3 + 0.1;
+            if (this.random.next() > 0.5) {
+                const size = this.random.next() * 0.3 + 0.1;
                 const detailGeometry = new THREE.DodecahedronGeometry(size, 0);
                 const detail = new THREE.Mesh(
                     detailGeometry, 
-                    detailMaterials[Math.floor(Math.random() * detailMaterials.length)]
+                    detailMaterials[Math.floor(this.random.next() * detailMaterials.length)]
                 );
                 
-                const xPos = -3 - Math.random() * 2;
-                const zPos = -segmentLength / 2 + Math.random() * segmentLength;
+                const xPos = -3 - this.random.next() * 2;
+                const zPos = -segmentLength / 2 + this.random.next() * segmentLength;
                 detail.position.set(xPos, size / 2, zPos);
+                detail.userData.densityRank = (i + 0.5) / numDetails;
                 
                 segmentGroup.add(detail);
+                this.roadsideDetails.push(detail);
             }
             
             // Right side details
-            if (Math.random() > 0.5) {
-                const size = Math.random() * 0.3 + 0.1;
+            if (this.random.next() > 0.5) {
+                const size = this.random.next() * 0.3 + 0.1;
                 const detailGeometry = new THREE.DodecahedronGeometry(size, 0);
                 const detail = new THREE.Mesh(
                     detailGeometry, 
-                    detailMaterials[Math.floor(Math.random() * detailMaterials.length)]
+                    detailMaterials[Math.floor(this.random.next() * detailMaterials.length)]
                 );
                 
-                const xPos = 3 + Math.random() * 2;
-                const zPos = -segmentLength / 2 + Math.random() * segmentLength;
+                const xPos = 3 + this.random.next() * 2;
+                const zPos = -segmentLength / 2 + this.random.next() * segmentLength;
                 detail.position.set(xPos, size / 2, zPos);
+                detail.userData.densityRank = (i + 0.5) / numDetails;
                 
                 segmentGroup.add(detail);
+                this.roadsideDetails.push(detail);
             }
         }
     }
@@ -189,11 +200,12 @@ class Environment {
     createTrees() {
         for (let i = 0; i < this.maxTrees; i++) {
             const tree = this.createTree();
+            tree.userData.densityRank = (i + 0.5) / this.maxTrees;
             
             // Position randomly on sides of the path
-            const side = Math.random() > 0.5 ? 1 : -1;
-            const distance = Math.random() * 5 + 5; // 5-10 units from center
-            const z = Math.random() * 100 - 50; // -50 to 50
+            const side = this.random.next() > 0.5 ? 1 : -1;
+            const distance = this.random.next() * 5 + 5; // 5-10 units from center
+            const z = this.random.next() * 100 - 50; // -50 to 50
             
             tree.position.set(side * distance, 0, z);
             
@@ -211,10 +223,10 @@ class Environment {
         const group = new THREE.Group();
         
         // Random tree size
-        const scale = Math.random() * 0.5 + 0.7; // 0.7-1.2
+        const scale = this.random.next() * 0.5 + 0.7; // 0.7-1.2
         
         // Choose a random tree type
-        const treeType = Math.floor(Math.random() * 4); // 0-3 (4 types of trees)
+        const treeType = Math.floor(this.random.next() * 4); // 0-3 (4 types of trees)
         
         switch (treeType) {
             case 0:
@@ -238,9 +250,9 @@ class Environment {
         // Add a small mound of dirt/grass at the base of the tree
         const moundGeometry = new THREE.SphereGeometry(0.4 * scale, 8, 4, 0, Math.PI * 2, 0, Math.PI / 2);
         const grassTexture = Array.isArray(this.textures.grass) 
-            ? this.textures.grass[Math.floor(Math.random() * this.textures.grass.length)]
+            ? this.textures.grass[Math.floor(this.random.next() * this.textures.grass.length)]
             : this.textures.grass;
-            
+        
         const moundMaterial = new THREE.MeshPhongMaterial({ 
             map: grassTexture
         });
@@ -260,9 +272,9 @@ class Environment {
         // Tree trunk with bark texture - randomly select from available textures
         const trunkGeometry = new THREE.CylinderGeometry(0.2 * scale, 0.3 * scale, 1.5 * scale, 8);
         const barkTexture = Array.isArray(this.textures.bark) 
-            ? this.textures.bark[Math.floor(Math.random() * this.textures.bark.length)]
+            ? this.textures.bark[Math.floor(this.random.next() * this.textures.bark.length)]
             : this.textures.bark;
-            
+        
         const trunkMaterial = new THREE.MeshPhongMaterial({ 
             map: barkTexture
         });
@@ -270,11 +282,11 @@ class Environment {
         trunk.position.y = 0.75 * scale;
         
         // Tree top (1-3 layers) with leaves texture - randomly select from available textures
-        const numLayers = Math.floor(Math.random() * 3) + 1;
+        const numLayers = Math.floor(this.random.next() * 3) + 1;
         const leavesTexture = Array.isArray(this.textures.leaves) 
-            ? this.textures.leaves[Math.floor(Math.random() * this.textures.leaves.length)]
+            ? this.textures.leaves[Math.floor(this.random.next() * this.textures.leaves.length)]
             : this.textures.leaves;
-            
+        
         const topMaterial = new THREE.MeshPhongMaterial({ 
             map: leavesTexture,
             color: 0x2ecc71 // Slightly green tint
@@ -301,9 +313,9 @@ class Environment {
         // Tree trunk with bark texture - randomly select from available textures
         const trunkGeometry = new THREE.CylinderGeometry(0.25 * scale, 0.35 * scale, 2 * scale, 8);
         const barkTexture = Array.isArray(this.textures.bark) 
-            ? this.textures.bark[Math.floor(Math.random() * this.textures.bark.length)]
+            ? this.textures.bark[Math.floor(this.random.next() * this.textures.bark.length)]
             : this.textures.bark;
-            
+        
         const trunkMaterial = new THREE.MeshPhongMaterial({ 
             map: barkTexture,
             color: 0x8B4513 // Brown tint
@@ -313,9 +325,9 @@ class Environment {
         
         // Tree top (rounded) with leaves texture - randomly select from available textures
         const leavesTexture = Array.isArray(this.textures.leaves) 
-            ? this.textures.leaves[Math.floor(Math.random() * this.textures.leaves.length)]
+            ? this.textures.leaves[Math.floor(this.random.next() * this.textures.leaves.length)]
             : this.textures.leaves;
-            
+        
         const topMaterial = new THREE.MeshPhongMaterial({ 
             map: leavesTexture,
             color: 0x27ae60 // Darker green tint
@@ -324,14 +336,14 @@ class Environment {
         // Create a rounded top using multiple spheres
         const numSpheres = 5;
         for (let i = 0; i < numSpheres; i++) {
-            const size = 0.8 * scale + Math.random() * 0.4 * scale;
+            const size = 0.8 * scale + this.random.next() * 0.4 * scale;
             const topGeometry = new THREE.SphereGeometry(size, 8, 8);
             const top = new THREE.Mesh(topGeometry, topMaterial);
             
             // Position randomly within the crown area
-            const xOffset = (Math.random() - 0.5) * scale;
-            const yOffset = 2.5 * scale + (Math.random() - 0.5) * 0.5 * scale;
-            const zOffset = (Math.random() - 0.5) * scale;
+            const xOffset = (this.random.next() - 0.5) * scale;
+            const yOffset = 2.5 * scale + (this.random.next() - 0.5) * 0.5 * scale;
+            const zOffset = (this.random.next() - 0.5) * scale;
             
             top.position.set(xOffset, yOffset, zOffset);
             group.add(top);
@@ -359,9 +371,9 @@ class Environment {
         
         const trunkGeometry = new THREE.TubeGeometry(trunkCurve, 20, 0.2 * scale, 8, false);
         const barkTexture = Array.isArray(this.textures.bark) 
-            ? this.textures.bark[Math.floor(Math.random() * this.textures.bark.length)]
+            ? this.textures.bark[Math.floor(this.random.next() * this.textures.bark.length)]
             : this.textures.bark;
-            
+        
         const trunkMaterial = new THREE.MeshPhongMaterial({ 
             map: barkTexture,
             color: 0xA0522D // Reddish brown
@@ -369,11 +381,11 @@ class Environment {
         const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
         
         // Palm leaves
-        const numLeaves = 6 + Math.floor(Math.random() * 3);
+        const numLeaves = 6 + Math.floor(this.random.next() * 3);
         const leavesTexture = Array.isArray(this.textures.leaves) 
-            ? this.textures.leaves[Math.floor(Math.random() * this.textures.leaves.length)]
+            ? this.textures.leaves[Math.floor(this.random.next() * this.textures.leaves.length)]
             : this.textures.leaves;
-            
+        
         const leafMaterial = new THREE.MeshPhongMaterial({ 
             map: leavesTexture,
             color: 0x7CFC00, // Bright green
@@ -411,9 +423,9 @@ class Environment {
         // Main trunk
         const trunkGeometry = new THREE.CylinderGeometry(0.2 * scale, 0.3 * scale, 2 * scale, 8);
         const barkTexture = Array.isArray(this.textures.bark) 
-            ? this.textures.bark[Math.floor(Math.random() * this.textures.bark.length)]
+            ? this.textures.bark[Math.floor(this.random.next() * this.textures.bark.length)]
             : this.textures.bark;
-            
+        
         const trunkMaterial = new THREE.MeshPhongMaterial({ 
             map: barkTexture,
             color: 0x4d4d4d // Gray tint
@@ -422,15 +434,15 @@ class Environment {
         trunk.position.y = 1 * scale;
         
         // Add branches
-        const numBranches = 4 + Math.floor(Math.random() * 3);
+        const numBranches = 4 + Math.floor(this.random.next() * 3);
         
         for (let i = 0; i < numBranches; i++) {
-            const branchLength = (0.5 + Math.random() * 1) * scale;
+            const branchLength = (0.5 + this.random.next() * 1) * scale;
             const branchGeometry = new THREE.CylinderGeometry(0.05 * scale, 0.1 * scale, branchLength, 5);
             const branch = new THREE.Mesh(branchGeometry, trunkMaterial);
             
             // Position at a random height on the trunk
-            const height = (0.5 + Math.random() * 1.5) * scale;
+            const height = (0.5 + this.random.next() * 1.5) * scale;
             
             // Rotate to point in a random direction
             const angle = (i / numBranches) * Math.PI * 2;
@@ -450,12 +462,12 @@ class Environment {
             group.add(branch);
             
             // Add some smaller branches to each main branch
-            if (Math.random() > 0.5) {
+            if (this.random.next() > 0.5) {
                 const twigGeometry = new THREE.CylinderGeometry(0.02 * scale, 0.05 * scale, branchLength * 0.7, 4);
                 const twig = new THREE.Mesh(twigGeometry, trunkMaterial);
                 
                 twig.rotation.z = Math.PI / 4;
-                twig.rotation.y = Math.random() * Math.PI;
+                twig.rotation.y = this.random.next() * Math.PI;
                 twig.position.set(0, branchLength * 0.7, 0);
                 
                 // Move twig origin to end so it connects properly
@@ -476,9 +488,9 @@ class Environment {
             const cloud = this.createCloud();
             
             // Position randomly in the sky
-            const x = Math.random() * 40 - 20; // -20 to 20
-            const y = Math.random() * 5 + 10; // 10 to 15
-            const z = Math.random() * 100 - 50; // -50 to 50
+            const x = this.random.next() * 40 - 20; // -20 to 20
+            const y = this.random.next() * 5 + 10; // 10 to 15
+            const z = this.random.next() * 100 - 50; // -50 to 50
             
             cloud.position.set(x, y, z);
             
@@ -502,17 +514,17 @@ class Environment {
         });
         
         // Create 3-5 spheres for the cloud
-        const numSpheres = Math.floor(Math.random() * 3) + 3;
+        const numSpheres = Math.floor(this.random.next() * 3) + 3;
         
         for (let i = 0; i < numSpheres; i++) {
-            const size = Math.random() * 1 + 0.5; // 0.5-1.5
+            const size = this.random.next() * 1 + 0.5; // 0.5-1.5
             const cloudGeometry = new THREE.SphereGeometry(size, 7, 7);
             const cloudPiece = new THREE.Mesh(cloudGeometry, cloudMaterial);
             
             // Position randomly within the cloud
-            const x = Math.random() * 2 - 1; // -1 to 1
-            const y = Math.random() * 0.5; // 0 to 0.5
-            const z = Math.random() * 2 - 1; // -1 to 1
+            const x = this.random.next() * 2 - 1; // -1 to 1
+            const y = this.random.next() * 0.5; // 0 to 0.5
+            const z = this.random.next() * 2 - 1; // -1 to 1
             
             cloudPiece.position.set(x, y, z);
             group.add(cloudPiece);
@@ -640,10 +652,10 @@ class Environment {
         const inactiveFlyingObjects = this.flyingObjects.filter(obj => !obj.active);
         if (inactiveFlyingObjects.length === 0) return;
         
-        const flyingObject = inactiveFlyingObjects[Math.floor(Math.random() * inactiveFlyingObjects.length)];
+        const flyingObject = inactiveFlyingObjects[Math.floor(this.random.next() * inactiveFlyingObjects.length)];
         
         // Determine type (airplane or bird)
-        const type = Math.random() > 0.5 ? 'airplane' : 'bird';
+        const type = this.random.next() > 0.5 ? 'airplane' : 'bird';
         flyingObject.type = type;
         
         // Set visibility based on type
@@ -651,32 +663,61 @@ class Environment {
         flyingObject.mesh.userData.bird.visible = (type === 'bird');
         
         // Set position (start from one side of the screen)
-        const side = Math.random() > 0.5 ? 1 : -1;
-        const y = Math.random() * 5 + 8; // 8-13 units high
-        const z = Math.random() * 20 - 60; // -60 to -40 (ahead of player)
+        const side = this.random.next() > 0.5 ? 1 : -1;
+        const y = this.random.next() * 5 + 8; // 8-13 units high
+        const z = this.random.next() * 20 - 60; // -60 to -40 (ahead of player)
         
         flyingObject.mesh.position.set(side * 30, y, z);
         flyingObject.mesh.rotation.y = (side > 0) ? Math.PI : 0; // Face the correct direction
         
         // Set speed based on type
-        flyingObject.speed = (type === 'airplane') ? 0.5 + Math.random() * 0.3 : 0.2 + Math.random() * 0.2;
+        flyingObject.speed = (type === 'airplane') ? 0.5 + this.random.next() * 0.3 : 0.2 + this.random.next() * 0.2;
         
         // Activate
         flyingObject.active = true;
         flyingObject.mesh.visible = true;
     }
     
+    /**
+     * Show a share of the trees and roadside rocks
+     * @param {number} density Share shown (0-1)
+     */
+    setVegetationDensity(density) {
+        for (const mesh of [...this.trees, ...this.roadsideDetails]) {
+            mesh.visible = mesh.userData.densityRank < density;
+        }
+    }
+    
+    /**
+     * Get all meshes that move during the game
+     * @returns {THREE.Object3D[]} Moving meshes
+     */
+    getMovingMeshes() {
+        return [
+            ...this.groundSegments,
+            ...this.trees,
+            ...this.clouds,
+            ...this.flyingObjects.filter(obj => obj.active).map(obj => obj.mesh)
+        ];
+    }
+    
     /**
      * Update environment
-     * @param {number} speed Current game speed
+     * @param {number} speed Current game speed in units per tick at 60Hz
+     * @param {number} deltaTime Time since last update in seconds
+     * @param {number} timeScale World time scale (below 1 during slow-motion)
      */
-    update(speed) {
+    update(speed, deltaTime, timeScale = 1) {
+        // Distance travelled by scrolling elements during this update
+        const distance = speed * deltaTime * 60;
+        this.elapsedTime += deltaTime * timeScale;
+        
         // Update ground segments
         for (let i = 0; i < this.groundSegments.length; i++) {
             const segment = this.groundSegments[i];
             
             // Move segment forward
-            segment.position.z += speed;
+            segment.position.z += distance;
             
             // If segment is behind camera, move it to the front
             if (segment.position.z > this.groundSegmentSize) {
@@ -686,44 +727,48 @@ class Environment {
         
         // Update decorative trees
         for (const tree of this.trees) {
-            tree.position.z += speed;
+            tree.position.z += distance;
             
             // If tree is behind camera, move it to the front
             if (tree.position.z > 20) {
                 tree.position.z = -80;
                 
                 // Randomize x position again
-                const side = Math.random() > 0.5 ? 1 : -1;
-                const distance = Math.random() * 5 + 5;
+                const side = this.random.next() > 0.5 ? 1 : -1;
+                const distance = this.random.next() * 5 + 5;
                 tree.position.x = side * distance;
             }
         }
         
         // Update clouds (slower movement for parallax effect)
         for (const cloud of this.clouds) {
-            cloud.position.z += speed * 0.5;
+            cloud.position.z += distance * 0.5;
             
             // If cloud is behind camera, move it to the front
             if (cloud.position.z > 20) {
                 cloud.position.z = -80;
                 
                 // Randomize position again
-                cloud.position.x = Math.random() * 40 - 20;
-                cloud.position.y = Math.random() * 5 + 10;
+                cloud.position.x = this.random.next() * 40 - 20;
+                cloud.position.y = this.random.next() * 5 + 10;
             }
         }
         
         // Update flying objects
-        this.updateFlyingObjects(speed);
+        this.updateFlyingObjects(speed, deltaTime, timeScale);
     }
     
     /**
      * Update flying objects
-     * @param {number} gameSpeed Current game speed
+     * @param {number} gameSpeed Current game speed in units per tick at 60Hz
+     * @param {number} deltaTime Time since last update in seconds
+     * @param {number} timeScale World time scale (below 1 during slow-motion)
      */
-    updateFlyingObjects(gameSpeed) {
+    updateFlyingObjects(gameSpeed, deltaTime, timeScale = 1) {
+        const ticks = deltaTime * 60;
+        
         // Update flying object timer
-        this.flyingObjectTimer += 0.016; // Approximately 60fps
+        this.flyingObjectTimer += deltaTime * timeScale;
         
         // Check if it's time to spawn a new flying object
         if (this.flyingObjectTimer >= this.flyingObjectSpawnRate) {
@@ -731,7 +776,7 @@ class Environment {
             this.flyingObjectTimer = 0;
             
             // Randomize next spawn time
-            this.flyingObjectSpawnRate = 3 + Math.random() * 5; // 3-8 seconds
+            this.flyingObjectSpawnRate = 3 + this.random.next() * 5; // 3-8 seconds
         }
         
         // Update active flying objects
@@ -740,8 +785,8 @@ class Environment {
             
             // Move flying object
             const direction = flyingObject.mesh.position.x > 0 ? -1 : 1;
-            flyingObject.mesh.position.x += direction * flyingObject.speed;
-            flyingObject.mesh.position.z += gameSpeed * 0.5;
+            flyingObject.mesh.position.x += direction * flyingObject.speed * ticks * timeScale;
+            flyingObject.mesh.position.z += gameSpeed * 0.5 * ticks;
             
             // Animate bird wings if it's a bird
             if (flyingObject.type === 'bird') {
@@ -751,9 +796,9 @@ class Environment {
                 ];
                 
                 // Simple wing flapping animation
-                const flapSpeed = 0.1;
+                const flapSpeed = 100; // Radians per second
                 wings.forEach(wing => {
-                    wing.rotation.z = Math.sin(Date.now() * flapSpeed) * 0.5;
+                    wing.rotation.z = Math.sin(this.elapsedTime * flapSpeed) * 0.5;
                 });
             }
             
@@ -0,0 +1,93 @@
+/**
+ * Gameplay event bus for the endless runner game: the simulation and the game
+ * publish what happens, so plugins and other observers don't need to edit them
+ */
+class EventBus {
+    constructor() {
+        this.listeners = {}; // Map of event type to listener functions
+        Object.keys(EventBus.types).forEach(type => this.listeners[type] = []);
+    }
+
+    /**
+     * Get the event types and the payload each one carries
+     * @returns {Object} Map of event type to payload description
+     */
+    static get types() {
+        return {
+            jump: 'Player started a jump {lane}',
+            land: 'Player landed {lane}',
+            slide: 'Player started a slide {lane}',
+            laneChange: 'Player started moving to another lane {fromLane, toLane}',
+            spawn: 'ObstacleManager put an obstacle in play {obstacle, type, lane}',
+            obstaclePassed: 'ObstacleManager saw an obstacle go by without a hit {obstacle, type}',
+            collision: 'CollisionDetector found the player touching an obstacle {obstacle, type, side}',
+            nearMiss: 'CollisionDetector saw the player pass an obstacle by a narrow margin {obstacle, type}',
+            scoreMilestone: 'ScoreManager passed a multiple of its milestone interval {milestone, score}',
+            stateChange: 'Game changed state (start, playing, paused or gameOver) {from, to}'
+        };
+    }
+
+    /**
+     * Check that an event type exists
+     * @param {string} type Event type
+     */
+    validateType(type) {
+        if (!this.listeners[type]) {
+            throw new Error(`Unknown game event: ${type}`);
+        }
+    }
+
+    /**
+     * Listen to an event
+     * @param {string} type Event type
+     * @param {Function} listener Called with the event payload
+     * @returns {Function} Call to stop listening
+     */
+    on(type, listener) {
+        this.validateType(type);
+        this.listeners[type].push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Listen to the next occurrence of an event only
+     * @param {string} type Event type
+     * @param {Function} listener Called with the event payload
+     * @returns {Function} Call to stop listening
+     */
+    once(type, listener) {
+        const unsubscribe = this.on(type, payload => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Stop listening to an event
+     * @param {string} type Event type
+     * @param {Function} listener Listener passed to on
+     */
+    off(type, listener) {
+        this.validateType(type);
+        this.listeners[type] = this.listeners[type].filter(existing => existing !== listener);
+    }
+
+    /**
+     * Publish an event to its listeners. A failing listener is logged and
+     * skipped, so an observer can't break the run it observes.
+     * @param {string} type Event type
+     * @param {Object} payload Event details
+     */
+    emit(type, payload = {}) {
+        this.validateType(type);
+
+        for (const listener of this.listeners[type]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        }
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Authored obstacle formations for the endless runner game.
+ * Formations are loaded from assets/data/formations.json.
+ */
+class FormationLibrary {
+    /**
+     * @param {Object} data Parsed formations file
+     * @param {string[]} obstacleTypes Known obstacle types
+     */
+    constructor(data, obstacleTypes) {
+        this.tiers = data.tiers || [0];
+        this.formations = data.formations.map(formation => this.validate(formation, obstacleTypes));
+    }
+
+    /**
+     * Create a library holding only single random obstacles (used until a file is loaded)
+     * @param {string[]} obstacleTypes Known obstacle types
+     * @returns {FormationLibrary} Default library
+     */
+    static createDefault(obstacleTypes) {
+        return new FormationLibrary({
+            tiers: [0],
+            formations: [{
+                name: 'single',
+                minTier: 0,
+                weight: 1,
+                obstacles: [{ type: 'random', lane: 'random', z: 0 }]
+            }]
+        }, obstacleTypes);
+    }
+
+    /**
+     * Check a formation and fill in defaults
+     * @param {Object} formation Formation from the file
+     * @param {string[]} obstacleTypes Known obstacle types
+     * @returns {Object} Validated formation
+     */
+    validate(formation, obstacleTypes) {
+        if (!Array.isArray(formation.obstacles) || formation.obstacles.length === 0) {
+            throw new Error(`Formation "${formation.name}" has no obstacles`);
+        }
+
+        for (const obstacle of formation.obstacles) {
+            if (obstacle.type !== 'random' && !obstacleTypes.includes(obstacle.type)) {
+                throw new Error(`Formation "${formation.name}" uses unknown obstacle type "${obstacle.type}"`);
+            }
+            if (obstacle.lane !== 'random' && !Number.isInteger(obstacle.lane)) {
+                throw new Error(`Formation "${formation.name}" has an invalid lane "${obstacle.lane}"`);
+            }
+        }
+
+        return {
+            name: formation.name,
+            minTier: formation.minTier || 0,
+            weight: formation.weight !== undefined ? formation.weight : 1,
+            mirror: !!formation.mirror,
+            obstacles: formation.obstacles.map(obstacle => ({
+                type: obstacle.type,
+                lane: obstacle.lane,
+                z: obstacle.z || 0
+            })),
+            // Distance from the first row to the last
+            depth: Math.max(...formation.obstacles.map(obstacle => obstacle.z || 0))
+        };
+    }
+
+    /**
+     * Get the difficulty tier for a score
+     * @param {number} score Current score
+     * @returns {number} Tier index
+     */
+    getTier(score) {
+        let tier = 0;
+        this.tiers.forEach((threshold, index) => {
+            if (score >= threshold) {
+                tier = index;
+            }
+        });
+        return tier;
+    }
+
+    /**
+     * Pick a formation unlocked at a score, weighted by its weight
+     * @param {RandomGenerator} random Gameplay random generator
+     * @param {number} score Current score
+     * @param {Function} isTypeUnlocked Whether an obstacle type may appear yet (formations using a locked type are skipped)
+     * @returns {Object} Formation
+     */
+    pick(random, score, isTypeUnlocked = () => true) {
+        const tier = this.getTier(score);
+        const available = this.formations.filter(formation =>
+            formation.minTier <= tier &&
+            formation.weight > 0 &&
+            formation.obstacles.every(obstacle => obstacle.type === 'random' || isTypeUnlocked(obstacle.type))
+        );
+        return random.pickWeighted(available, formation => formation.weight);
+    }
+}
@@ -4,23 +4,102 @@
 class Game {
     constructor() {
         // Game state
-        this.state = 'start'; // start, playing, gameOver
+        this.state = 'start'; // start, playing, paused, gameOver
+        this.ready = false; // Set once the obstacle formations have loaded
         this.animationFrameId = null;
         this.lastTime = 0;
         
+        // Fixed timestep loop (the step itself is Simulation.fixedTimeStep)
+        this.maxFrameTime = 0.25; // Clamp long hitches such as a tab switch
+        this.accumulator = 0;
+        this.maxInterpolationDistanceSq = 4; // Larger jumps are teleports, not motion
+        
+        // Pausing (resuming counts down first)
+        this.resumeCountdown = 3; // Seconds
+        this.countdownTimer = null;
+        
+        // Input recording and replay
+        this.inputQueue = []; // Actions waiting for the next simulation tick
+        this.replay = null;
+        this.isReplaying = false;
+        
         // DOM elements
         this.gameContainer = document.getElementById('game-container');
         this.startScreen = document.getElementById('start-screen');
         this.gameOverScreen = document.getElementById('game-over');
         this.startButton = document.getElementById('start-button');
         this.restartButton = document.getElementById('restart-button');
+        this.seedElement = document.getElementById('run-seed');
+        this.deathCauseElement = document.getElementById('death-cause');
+        this.onlineStatusElement = document.getElementById('online-status');
+        this.loadReplayButton = document.getElementById('load-replay-button');
+        this.replayFileInput = document.getElementById('replay-file-input');
+        this.downloadReplayButton = document.getElementById('download-replay-button');
+        this.modeSelect = document.getElementById('mode-select');
+        this.difficultySelect = document.getElementById('difficulty-select');
+        this.pauseScreen = document.getElementById('pause-screen');
+        this.pauseMenu = document.getElementById('pause-menu');
+        this.pauseCountdownElement = document.getElementById('pause-countdown');
+        this.resumeButton = document.getElementById('resume-button');
+        this.pauseRestartButton = document.getElementById('pause-restart-button');
+        this.quitButton = document.getElementById('quit-button');
+        this.controlsButton = document.getElementById('controls-button');
+        this.controlsPrompt = document.getElementById('controls-prompt');
+        this.settingsButton = document.getElementById('settings-button');
+        this.statsButton = document.getElementById('stats-button');
+        
+        // Seeded randomness (a seed from the URL is reused for every run)
+        this.urlSeed = this.getSeedFromUrl();
+        this.seed = this.urlSeed !== null ? this.urlSeed : RandomGenerator.createSeed();
+        this.mode = this.modeSelect.value; // Game mode chosen on the start screen
+        this.difficulty = this.difficultySelect.value; // Difficulty profile chosen on the start screen
+        
+        // Gameplay simulation (no THREE or DOM)
+        this.simulation = new Simulation({ seed: this.seed, mode: this.mode, difficulty: this.difficulty, storage: window.localStorage });
+        this.fixedTimeStep = this.simulation.fixedTimeStep;
+        this.scoreManager = this.simulation.scoreManager;
+        this.player = this.simulation.player;
+        this.obstacles = this.simulation.obstacles;
+        this.coins = this.simulation.coins;
+        this.powerUps = this.simulation.powerUps;
+        this.collisionDetector = this.simulation.collisionDetector;
+        this.events = this.simulation.events; // Game state changes are published here too
         
         // Event listeners
         this.startButton.addEventListener('click', () => this.startGame());
         this.restartButton.addEventListener('click', () => this.restartGame());
-        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.loadReplayButton.addEventListener('click', () => this.replayFileInput.click());
+        this.replayFileInput.addEventListener('change', () => this.loadReplayFile());
+        this.downloadReplayButton.addEventListener('click', () => this.replay.download());
+        this.resumeButton.addEventListener('click', () => this.resumeGame());
+        this.pauseRestartButton.addEventListener('click', () => this.restartGame());
+        this.quitButton.addEventListener('click', () => this.quitGame());
+        this.difficultySelect.addEventListener('change', () => this.changeDifficulty());
+        this.controlsButton.addEventListener('click', () => this.openControls());
+        this.settingsButton.addEventListener('click', () => this.openSettings());
+        this.statsButton.addEventListener('click', () => this.openStats());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.handleFocusLoss();
+            }
+        });
+        window.addEventListener('blur', () => this.handleFocusLoss());
         window.addEventListener('resize', () => this.handleResize());
         
+        // Keyboard, gamepad and touch input, seen here only as actions
+        this.input = new InputManager(this.gameContainer, window.localStorage);
+        this.input.setHandler(action => this.handleAction(action));
+        this.controlsScreen = new ControlsScreen(this.input.keyboard, () => this.closeControls());
+        this.updateControlsPrompt();
+        
+        // Graphics settings and audio volumes (saved between sessions)
+        this.graphicsSettings = new GraphicsSettings(window.localStorage);
+        this.audio = new AudioManager({ storage: window.localStorage });
+        this.settingsScreen = new SettingsScreen(this.graphicsSettings, this.audio, () => this.changeGraphicsSettings(), () => this.closeSettings());
+        
+        // Lifetime stats and achievements
+        this.statsScreen = new StatsScreen(this.simulation.stats, this.simulation.achievements, this.obstacles.obstacleDefinitions, () => this.closeStats());
+        
         // Textures
         this.textures = {};
         this.loadTextures();
@@ -28,16 +107,81 @@ class Game {
         // Three.js setup
         this.setupThreeJS();
         
-        // Game components
-        this.scoreManager = new ScoreManager();
-        this.player = new Player(this.scene, this.textures);
-        this.obstacles = new ObstacleManager(this.scene, this.textures);
-        this.environment = new Environment(this.scene, this.textures);
-        this.collisionDetector = new CollisionDetector(this.player, this.obstacles);
+        // Rendering and UI components
+        this.playerRenderer = new PlayerRenderer(this.scene, this.textures, this.player, this.powerUps);
+        this.obstacleRenderer = new ObstacleRenderer(this.scene, this.textures, this.obstacles);
+        this.coinRenderer = new CoinRenderer(this.scene, this.coins);
+        this.powerUpRenderer = new PowerUpRenderer(this.scene, this.powerUps);
+        this.environment = new Environment(this.scene, this.textures, this.simulation.random.createStream('scenery'));
+        this.effects = new EffectsRenderer(this.scene, this.simulation.random.createStream('effects'));
+        this.hud = new Hud(this.simulation);
+        this.playbackControls = new PlaybackControls(this);
+        
+        // Leaderboards (online only when the page URL names an endpoint)
+        const onlineEndpoint = OnlineLeaderboard.getEndpointFromUrl();
+        this.onlineLeaderboard = onlineEndpoint ? new OnlineLeaderboard({ endpoint: onlineEndpoint, storage: window.localStorage }) : null;
+        this.leaderboardView = new LeaderboardView(this.scoreManager.leaderboard, this.obstacles.obstacleDefinitions, window.localStorage, this.onlineLeaderboard);
+        this.leaderboardView.showTable(this.difficulty);
         
         // Initial render
-        this.handleResize();
+        this.applyGraphicsSettings();
         this.renderer.render(this.scene, this.camera);
+        
+        // Plugins registered by scripts loaded before the game started
+        this.plugins = new PluginManager(this);
+        this.plugins.addRegistered();
+        window.addEventListener('pagehide', () => this.plugins.removeAll());
+        
+        this.loadFormations();
+    }
+    
+    /**
+     * Change the game state and publish the change
+     * @param {string} state start, playing, paused or gameOver
+     */
+    setState(state) {
+        const previousState = this.state;
+        this.state = state;
+        
+        if (state !== previousState) {
+            this.events.emit('stateChange', { from: previousState, to: state });
+        }
+    }
+    
+    /**
+     * Load the authored obstacle formations, falling back to single obstacles
+     */
+    loadFormations() {
+        this.startButton.disabled = true;
+        
+        fetch('assets/data/formations.json')
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => this.simulation.setFormations(data))
+            .catch(error => console.warn('Could not load obstacle formations, using single obstacles:', error))
+            .finally(() => {
+                this.ready = true;
+                this.startButton.disabled = false;
+            });
+    }
+    
+    /**
+     * Read the run seed from the URL (?seed=value or ?daily)
+     * @returns {string|null} Seed, or null if none was given
+     */
+    getSeedFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        
+        if (params.has('daily')) {
+            return RandomGenerator.getDailySeed();
+        }
+        
+        const seed = params.get('seed');
+        return seed ? seed : null;
     }
     
     /**
@@ -96,14 +240,19 @@ class Game {
         // Create scene
         this.scene = new THREE.Scene();
         
-        // Set sky background with texture
-        const skyGeometry = new THREE.SphereGeometry(500, 32, 32);
+        // Set sky background with texture (shrunk to fit a short draw distance, and never fogged)
+        this.skyRadius = 500;
+        const skyGeometry = new THREE.SphereGeometry(this.skyRadius, 32, 32);
         const skyMaterial = new THREE.MeshBasicMaterial({
             map: this.currentSkyTexture,
-            side: THREE.BackSide
+            side: THREE.BackSide,
+            fog: false
         });
-        const sky = new THREE.Mesh(skyGeometry, skyMaterial);
-        this.scene.add(sky);
+        this.sky = new THREE.Mesh(skyGeometry, skyMaterial);
+        this.scene.add(this.sky);
+        
+        // Fog fades out the end of the draw distance
+        this.scene.fog = new THREE.Fog(0xc9e2f5, 1, 1000);
         
         // Create camera
         this.camera = new THREE.PerspectiveCamera(
@@ -116,15 +265,74 @@ class Game {
         this.camera.lookAt(0, 2, -30); // Look down the road
         
         // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.shadowMap.enabled = true;
-        this.gameContainer.appendChild(this.renderer.domElement);
+        this.createRenderer();
         
         // Add lighting
         this.setupLighting();
     }
     
+    /**
+     * Create the WebGL renderer, replacing the current one
+     */
+    createRenderer() {
+        const previous = this.renderer;
+        
+        this.renderer = new THREE.WebGLRenderer({ antialias: this.graphicsSettings.antialias });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.shadowMap.enabled = this.graphicsSettings.shadows;
+        this.rendererAntialias = this.graphicsSettings.antialias;
+        
+        if (previous) {
+            this.gameContainer.replaceChild(this.renderer.domElement, previous.domElement);
+            previous.dispose();
+        } else {
+            this.gameContainer.appendChild(this.renderer.domElement);
+        }
+    }
+    
+    /**
+     * Apply the graphics settings, at runtime where the renderer allows it
+     */
+    applyGraphicsSettings() {
+        const settings = this.graphicsSettings;
+        
+        // Antialiasing is fixed when a WebGL context is created
+        if (settings.antialias !== this.rendererAntialias) {
+            this.createRenderer();
+        }
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, settings.pixelRatio));
+        
+        // Materials compile differently with shadows on, so they need rebuilding when it changes
+        if (settings.shadows !== this.renderer.shadowMap.enabled) {
+            this.renderer.shadowMap.enabled = settings.shadows;
+            this.scene.traverse(object => {
+                if (object.material) {
+                    [].concat(object.material).forEach(material => material.needsUpdate = true);
+                }
+            });
+        }
+        this.sunLight.castShadow = settings.shadows;
+        
+        // A new shadow resolution needs a new shadow map
+        const shadow = this.sunLight.shadow;
+        if (shadow.mapSize.width !== settings.shadowMapSize) {
+            shadow.mapSize.set(settings.shadowMapSize, settings.shadowMapSize);
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+        }
+        
+        // Draw distance
+        this.camera.far = settings.drawDistance;
+        this.sky.scale.setScalar(Math.min(1, settings.drawDistance * 0.9 / this.skyRadius));
+        this.scene.fog.near = settings.drawDistance * 0.6;
+        this.scene.fog.far = settings.drawDistance;
+        
+        this.environment.setVegetationDensity(settings.vegetation);
+        this.handleResize();
+    }
+    
     /**
      * Set up scene lighting
      */
@@ -136,11 +344,12 @@ class Game {
         // Directional light (sun)
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
         directionalLight.position.set(10, 20, 10);
-        directionalLight.castShadow = true;
+        directionalLight.castShadow = this.graphicsSettings.shadows;
+        this.sunLight = directionalLight;
         
         // Configure shadow properties
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
+        directionalLight.shadow.mapSize.width = this.graphicsSettings.shadowMapSize;
+        directionalLight.shadow.mapSize.height = this.graphicsSettings.shadowMapSize;
         directionalLight.shadow.camera.near = 0.5;
         directionalLight.shadow.camera.far = 50;
         directionalLight.shadow.camera.left = -20;
@@ -155,96 +364,587 @@ class Game {
      * Start the game
      */
     startGame() {
-        if (this.state !== 'playing') {
-            this.state = 'playing';
+        if (this.state !== 'playing' && this.ready) {
+            // Replays keep the mode and difficulty they were recorded with
+            if (!this.isReplaying) {
+                this.mode = this.modeSelect.value;
+                this.difficulty = this.difficultySelect.value;
+            }
+            
+            this.setState('playing');
             this.startScreen.classList.add('hidden');
             this.gameOverScreen.classList.add('hidden');
-            this.scoreManager.reset();
-            this.player.reset();
-            this.obstacles.reset();
+            this.hidePauseScreen();
+            this.resetRun();
+            
+            // Starting is a user gesture, which lets the browser play audio
+            this.audio.resume();
+            this.audio.startMusic();
+            
+            // Record a fresh replay unless one is being played back
+            if (!this.isReplaying) {
+                this.replay = new Replay(this.seed, this.mode, this.difficulty);
+            }
+            
             this.lastTime = performance.now();
             this.gameLoop();
         }
     }
     
     /**
-     * Restart the game after game over
+     * Reset the simulation to the first tick of a run
+     */
+    resetRun() {
+        this.simulation.reset(this.seed, this.mode, this.difficulty);
+        
+        // Scenery and effects follow the run's seed too
+        this.environment.random = this.simulation.random.createStream('scenery');
+        this.effects.random = this.simulation.random.createStream('effects');
+        this.audio.resetObservation();
+        this.hud.clearToasts();
+        this.accumulator = 0;
+        this.inputQueue = [];
+        this.syncRenderers();
+    }
+    
+    /**
+     * Switch the start screen to the difficulty picked in the select,
+     * so the HUD shows that difficulty's high score
+     */
+    changeDifficulty() {
+        this.difficulty = this.difficultySelect.value;
+        this.resetRun();
+        this.leaderboardView.showTable(this.difficulty);
+        this.render(0);
+    }
+    
+    /**
+     * Restart the game after game over or from the pause menu
      */
     restartGame() {
+        if (this.isReplaying) {
+            this.startReplay(this.replay);
+            return;
+        }
+        
+        // Unseeded games get a new seed for every run
+        if (this.urlSeed === null) {
+            this.seed = RandomGenerator.createSeed();
+        }
         this.startGame();
     }
     
+    /**
+     * Pause the run, stopping both the simulation clock and the animation loop
+     */
+    pauseGame() {
+        if (this.state !== 'playing') {
+            return;
+        }
+        
+        this.setState('paused');
+        cancelAnimationFrame(this.animationFrameId);
+        this.showPauseMenu();
+    }
+    
+    /**
+     * Resume a paused run after a countdown
+     */
+    resumeGame() {
+        if (this.state !== 'paused' || this.countdownTimer !== null) {
+            return;
+        }
+        
+        this.pauseMenu.classList.add('hidden');
+        this.pauseCountdownElement.classList.remove('hidden');
+        
+        let remaining = this.resumeCountdown;
+        const countDown = () => {
+            if (remaining === 0) {
+                this.countdownTimer = null;
+                this.hidePauseScreen();
+                this.setState('playing');
+                
+                // Restart the time base so the pause doesn't count as one long frame
+                this.lastTime = performance.now();
+                this.gameLoop();
+                return;
+            }
+            
+            this.pauseCountdownElement.textContent = remaining;
+            remaining--;
+            this.countdownTimer = setTimeout(countDown, 1000);
+        };
+        countDown();
+    }
+    
+    /**
+     * Pause, or go back from the resume countdown to the pause menu
+     */
+    togglePause() {
+        if (this.state === 'playing') {
+            this.pauseGame();
+        } else if (this.state === 'paused' && this.countdownTimer !== null) {
+            this.showPauseMenu();
+        } else if (this.state === 'paused') {
+            this.resumeGame();
+        }
+    }
+    
+    /**
+     * Pause automatically when the tab is hidden or the window loses focus
+     */
+    handleFocusLoss() {
+        if (this.isReplaying) {
+            this.playbackControls.setPaused(true);
+        } else if (this.state === 'playing') {
+            this.pauseGame();
+        } else if (this.state === 'paused' && this.countdownTimer !== null) {
+            this.showPauseMenu();
+        }
+    }
+    
+    /**
+     * Show the pause screen with its menu, stopping any resume countdown
+     */
+    showPauseMenu() {
+        clearTimeout(this.countdownTimer);
+        this.countdownTimer = null;
+        this.pauseScreen.classList.remove('hidden');
+        this.pauseMenu.classList.remove('hidden');
+        this.pauseCountdownElement.classList.add('hidden');
+    }
+    
+    /**
+     * Hide the pause screen and stop any resume countdown
+     */
+    hidePauseScreen() {
+        clearTimeout(this.countdownTimer);
+        this.countdownTimer = null;
+        this.pauseScreen.classList.add('hidden');
+    }
+    
+    /**
+     * Abandon the paused run and return to the start screen
+     */
+    quitGame() {
+        if (this.state !== 'paused') {
+            return;
+        }
+        
+        this.hidePauseScreen();
+        this.audio.stopMusic();
+        
+        // Unseeded games get a new seed for every run
+        if (this.urlSeed === null) {
+            this.seed = RandomGenerator.createSeed();
+        }
+        this.setState('start');
+        this.startScreen.classList.remove('hidden');
+        this.resetRun();
+        this.leaderboardView.showTable(this.difficulty);
+        this.render(0);
+    }
+    
+    /**
+     * Load a replay file chosen by the user and play it
+     */
+    loadReplayFile() {
+        const file = this.replayFileInput.files[0];
+        if (!file) {
+            return;
+        }
+        
+        file.text().then(text => {
+            this.startReplay(Replay.parse(text));
+        }).catch(error => {
+            console.error('Could not load replay:', error);
+            alert(`Could not load replay: ${error.message}`);
+        }).finally(() => {
+            this.replayFileInput.value = '';
+        });
+    }
+    
+    /**
+     * Play back a recorded run
+     * @param {Replay} replay Replay to play
+     */
+    startReplay(replay) {
+        cancelAnimationFrame(this.animationFrameId);
+        this.replay = replay;
+        this.replay.rewind();
+        this.isReplaying = true;
+        this.seed = replay.seed;
+        this.mode = replay.mode;
+        this.difficulty = replay.difficulty;
+        this.simulation.setSaveEnabled(false);
+        this.playbackControls.show(replay);
+        this.setState('start');
+        this.startGame();
+    }
+    
+    /**
+     * Jump to a tick of the replay by re-simulating the run from the start
+     * @param {number} targetTick Tick to seek to
+     */
+    seekReplay(targetTick) {
+        if (!this.isReplaying) {
+            return;
+        }
+        
+        cancelAnimationFrame(this.animationFrameId);
+        this.setState('playing');
+        this.gameOverScreen.classList.add('hidden');
+        this.resetRun();
+        this.replay.rewind();
+        
+        // Fast-forward without playing every sound on the way
+        this.audio.catchingUp = true;
+        while (this.simulation.tick < targetTick && this.state === 'playing') {
+            this.savePreviousPositions();
+            this.update(this.fixedTimeStep);
+        }
+        this.audio.catchingUp = false;
+        this.hud.clearFloatingTexts();
+        
+        this.render(0);
+        
+        if (this.state === 'playing') {
+            this.lastTime = performance.now();
+            this.gameLoop();
+        }
+    }
+    
+    /**
+     * Leave replay mode and return to the start screen
+     */
+    exitReplay() {
+        cancelAnimationFrame(this.animationFrameId);
+        this.isReplaying = false;
+        this.replay = null;
+        this.simulation.setSaveEnabled(true);
+        this.playbackControls.hide();
+        this.audio.stopMusic();
+        
+        this.seed = this.urlSeed !== null ? this.urlSeed : RandomGenerator.createSeed();
+        this.mode = this.modeSelect.value;
+        this.difficulty = this.difficultySelect.value;
+        this.setState('start');
+        this.gameOverScreen.classList.add('hidden');
+        this.startScreen.classList.remove('hidden');
+        this.resetRun();
+        this.leaderboardView.showTable(this.difficulty);
+        this.render(0);
+    }
+    
     /**
      * End the game
      */
     endGame() {
-        this.state = 'gameOver';
+        this.setState('gameOver');
+        this.audio.stopMusic();
         this.gameOverScreen.classList.remove('hidden');
-        this.scoreManager.updateFinalScore();
+        this.hud.updateFinalScore();
+        this.deathCauseElement.textContent = this.simulation.getDeathMessage() || '';
+        this.seedElement.textContent = `Seed: ${this.seed}`;
+        
+        // The recording needs its length before it is submitted
+        if (!this.isReplaying) {
+            this.replay.length = this.simulation.tick;
+        }
+        
+        // Runs that make the leaderboard are saved under the last name and can be renamed
+        this.leaderboardView.promptName(this.simulation.recordRun(this.leaderboardView.getLastName()));
+        this.submitOnline();
+        this.downloadReplayButton.classList.toggle('hidden', this.isReplaying);
+        
         cancelAnimationFrame(this.animationFrameId);
     }
     
+    /**
+     * Submit the run that just ended to the online leaderboard, if there is one
+     */
+    submitOnline() {
+        const show = text => {
+            this.onlineStatusElement.textContent = text;
+            this.onlineStatusElement.classList.toggle('hidden', !text);
+        };
+        
+        // Only crashes in ranked modes are submitted: replays are someone else's runs
+        if (!this.onlineLeaderboard || this.isReplaying || this.simulation.state !== 'ended' ||
+            !this.simulation.modes[this.simulation.mode].ranked) {
+            show('');
+            return;
+        }
+        
+        const replay = this.replay;
+        show('Submitting online...');
+        this.onlineLeaderboard.submitRun(replay, Math.floor(this.scoreManager.score), this.leaderboardView.getLastName())
+            .then(reply => {
+                if (this.replay === replay) {
+                    show(reply.accepted ? `Online rank: #${reply.rank}` : `Online score rejected: ${reply.reason}`);
+                }
+            })
+            .catch(error => {
+                console.warn('Could not submit the run online:', error);
+                if (this.replay === replay) {
+                    show('Online leaderboard unavailable');
+                }
+            });
+    }
+    
     /**
      * Main game loop
      */
     gameLoop() {
         const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
+        const frameTime = Math.min((currentTime - this.lastTime) / 1000, this.maxFrameTime); // Convert to seconds
         this.lastTime = currentTime;
         
         if (this.state === 'playing') {
-            // Update score
-            this.scoreManager.addScore(deltaTime);
-            
-            // Update player
-            this.player.update();
+            // Replays can be paused and played at a different speed
+            if (this.isReplaying) {
+                this.accumulator += this.playbackControls.paused ? 0 : frameTime * this.playbackControls.speed;
+            } else {
+                this.accumulator += frameTime;
+            }
             
-            // Update obstacles
-            this.obstacles.update(deltaTime, this.scoreManager.score);
+            // Advance the simulation in fixed steps
+            while (this.accumulator >= this.fixedTimeStep && this.state === 'playing') {
+                this.savePreviousPositions();
+                this.update(this.fixedTimeStep);
+                this.accumulator -= this.fixedTimeStep;
+            }
             
-            // Update environment
-            this.environment.update(this.obstacles.speed);
+            // Render scene between the last two simulation steps
+            this.render(this.accumulator / this.fixedTimeStep);
             
-            // Check for collisions
-            if (this.collisionDetector.checkCollisions()) {
-                this.endGame();
+            if (this.isReplaying) {
+                this.playbackControls.update(this.simulation.tick);
             }
             
-            // Render scene
-            this.renderer.render(this.scene, this.camera);
-            
             // Continue game loop
-            this.animationFrameId = requestAnimationFrame(() => this.gameLoop());
+            if (this.state === 'playing') {
+                this.animationFrameId = requestAnimationFrame(() => this.gameLoop());
+            }
         }
     }
     
     /**
-     * Handle keyboard input
-     * @param {KeyboardEvent} event Keyboard event
+     * Advance the simulation by one fixed step and mirror it into the scene
+     * @param {number} deltaTime Fixed step duration in seconds
      */
-    handleKeyDown(event) {
-        if (this.state === 'playing') {
-            // Jump when space or up arrow is pressed
-            if (event.code === 'Space' || event.code === 'ArrowUp') {
-                this.player.jump();
-                event.preventDefault();
+    update(deltaTime) {
+        const simulation = this.simulation;
+        let actions;
+        
+        // Apply this tick's input, either live (and recorded) or from the replay
+        if (this.isReplaying) {
+            actions = this.replay.getActionsAt(simulation.tick);
+        } else {
+            actions = this.inputQueue;
+            actions.forEach(action => this.replay.record(simulation.tick, action));
+            this.inputQueue = [];
+        }
+        
+        simulation.step(actions);
+        this.hud.announceUnlocks();
+        this.hud.announceAchievements();
+        this.hud.showNearMisses();
+        
+        // Update environment (obstacle speed already includes slow-motion)
+        this.environment.update(this.obstacles.speed, deltaTime, this.powerUps.getTimeScale());
+        
+        // Show effects of this tick's collisions
+        simulation.collisions.forEach(collision => this.effects.showCollision(collision, this.player.position));
+        this.effects.update(this.obstacles.speed, deltaTime);
+        
+        // Play the sounds of this tick
+        this.audio.update(simulation, this.environment);
+        
+        this.plugins.update(deltaTime);
+        
+        this.syncRenderers();
+        
+        if (simulation.state === 'ended') {
+            this.endGame();
+        } else if (this.isReplaying && simulation.tick >= this.replay.length) {
+            // The recording ends here, so the replay does too
+            this.endGame();
+        }
+    }
+    
+    /**
+     * Mirror the simulation state into the THREE scene
+     */
+    syncRenderers() {
+        this.playerRenderer.sync();
+        this.obstacleRenderer.sync();
+        this.coinRenderer.sync();
+        this.powerUpRenderer.sync();
+    }
+    
+    /**
+     * Get all meshes whose positions are interpolated when rendering
+     * @returns {THREE.Object3D[]} Moving meshes
+     */
+    getInterpolatedMeshes() {
+        return [
+            this.playerRenderer.mesh,
+            ...this.obstacleRenderer.visibleMeshes,
+            ...this.coinRenderer.visibleMeshes,
+            ...this.powerUpRenderer.visibleMeshes,
+            ...this.environment.getMovingMeshes(),
+            ...this.effects.getMovingMeshes()
+        ];
+    }
+    
+    /**
+     * Remember mesh positions before a simulation step
+     */
+    savePreviousPositions() {
+        for (const mesh of this.getInterpolatedMeshes()) {
+            if (!mesh.userData.previousPosition) {
+                mesh.userData.previousPosition = new THREE.Vector3();
             }
-            // Move left
-            else if (event.code === 'ArrowLeft') {
-                this.player.moveLeft();
-                event.preventDefault();
+            mesh.userData.previousPosition.copy(mesh.position);
+        }
+    }
+    
+    /**
+     * Render the scene with mesh positions interpolated between simulation steps
+     * @param {number} alpha Fraction of a step elapsed since the last update (0-1)
+     */
+    render(alpha) {
+        const meshes = this.getInterpolatedMeshes();
+        const simulatedPositions = meshes.map(mesh => mesh.position.clone());
+        
+        meshes.forEach((mesh, i) => {
+            const previous = mesh.userData.previousPosition;
+            
+            // Skip meshes that just spawned or wrapped around
+            if (previous && previous.distanceToSquared(simulatedPositions[i]) < this.maxInterpolationDistanceSq) {
+                mesh.position.lerpVectors(previous, simulatedPositions[i], alpha);
             }
-            // Move right
-            else if (event.code === 'ArrowRight') {
-                this.player.moveRight();
-                event.preventDefault();
+        });
+        
+        this.renderer.render(this.scene, this.camera);
+        this.hud.update();
+        
+        // Restore simulated positions
+        meshes.forEach((mesh, i) => mesh.position.copy(simulatedPositions[i]));
+    }
+    
+    /**
+     * Show the graphics settings screen in place of the start screen
+     */
+    openSettings() {
+        this.startScreen.classList.add('hidden');
+        this.settingsScreen.open();
+    }
+    
+    /**
+     * Go back to the start screen
+     */
+    closeSettings() {
+        this.startScreen.classList.remove('hidden');
+    }
+    
+    /**
+     * Show the stats screen in place of the start screen
+     */
+    openStats() {
+        this.startScreen.classList.add('hidden');
+        this.statsScreen.open();
+    }
+    
+    /**
+     * Return to the start screen from the stats screen
+     */
+    closeStats() {
+        this.startScreen.classList.remove('hidden');
+    }
+    
+    /**
+     * Apply changed graphics settings and show them behind the settings screen
+     */
+    changeGraphicsSettings() {
+        this.applyGraphicsSettings();
+        this.render(0);
+    }
+    
+    /**
+     * Show the controls screen in place of the start screen
+     */
+    openControls() {
+        this.startScreen.classList.add('hidden');
+        this.controlsScreen.open();
+    }
+    
+    /**
+     * Go back to the start screen with the prompt showing the new bindings
+     */
+    closeControls() {
+        this.updateControlsPrompt();
+        this.startScreen.classList.remove('hidden');
+    }
+    
+    /**
+     * Show the current key bindings in the start screen prompt
+     */
+    updateControlsPrompt() {
+        const keyboard = this.input.keyboard;
+        const key = action => keyboard.getActionKeyName(action);
+        
+        this.controlsPrompt.textContent = `Press ${key('jump')} to Jump, ${key('slide')} to Slide, ` +
+            `${key('left')}/${key('right')} to Move, ${key('pause')} to Pause`;
+    }
+    
+    /**
+     * Handle an action from the input layer (keyboard, gamepad or touch)
+     * @param {string} action Action name (see InputManager.actions)
+     * @returns {boolean} True if the action was used
+     */
+    handleAction(action) {
+        if (this.isReplaying || this.controlsScreen.isOpen || this.settingsScreen.isOpen || this.statsScreen.isOpen) {
+            // Replays are driven by the recording only, and menus over the start screen take no actions
+            return false;
+        }
+        
+        // Pause and resume
+        if (action === 'pause') {
+            if (this.state === 'playing' || this.state === 'paused') {
+                this.togglePause();
+                return true;
             }
-        } else if (this.state === 'start' && event.code === 'Space') {
-            this.startGame();
-            event.preventDefault();
-        } else if (this.state === 'gameOver' && event.code === 'Space') {
-            this.restartGame();
-            event.preventDefault();
+            return false;
+        }
+        
+        // Gameplay actions are queued and applied at the start of the next tick
+        if (this.state === 'playing') {
+            if (action in Replay.actionCodes) {
+                this.inputQueue.push(action);
+                return true;
+            }
+            return false;
+        }
+        
+        if (action !== 'confirm') {
+            return false;
+        }
+        
+        switch (this.state) {
+            case 'start':
+                this.startGame();
+                return true;
+            case 'gameOver':
+                this.restartGame();
+                return true;
+            case 'paused':
+                this.resumeGame();
+                return true;
+            default:
+                return false;
         }
     }
     
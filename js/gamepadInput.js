@@ -0,0 +1,118 @@
+/**
+ * Gamepad backend of the input layer (standard mapping: D-pad, left stick, face and start buttons)
+ */
+class GamepadInput {
+    /**
+     * @param {Function} emit Called with the actions of a pressed control, returns true if one was used
+     */
+    constructor(emit) {
+        this.emit = emit;
+        this.stickThreshold = 0.5; // Stick deflection that counts as a press
+
+        // Controls bound to each action
+        this.bindings = {
+            jump: ['A', 'DpadUp', 'StickUp'],
+            left: ['DpadLeft', 'StickLeft'],
+            right: ['DpadRight', 'StickRight'],
+            slide: ['B', 'DpadDown', 'StickDown'],
+            pause: ['Start'],
+            confirm: ['A', 'Start']
+        };
+
+        // Controls held during the last poll, so holding one only acts once
+        this.held = new Set();
+        this.pollId = null;
+
+        window.addEventListener('gamepadconnected', () => this.startPolling());
+    }
+
+    /**
+     * Get the standard mapping button index of each button control
+     * @returns {Object} Map of control name to button index
+     */
+    static get buttons() {
+        return {
+            A: 0,
+            B: 1,
+            Start: 9,
+            DpadUp: 12,
+            DpadDown: 13,
+            DpadLeft: 14,
+            DpadRight: 15
+        };
+    }
+
+    /**
+     * Poll the gamepads every frame while any is connected
+     */
+    startPolling() {
+        if (this.pollId !== null) {
+            return;
+        }
+
+        const poll = () => {
+            if (this.poll()) {
+                this.pollId = requestAnimationFrame(poll);
+            } else {
+                this.pollId = null;
+                this.held.clear();
+            }
+        };
+        poll();
+    }
+
+    /**
+     * Read the gamepads and emit the actions of newly pressed controls
+     * @returns {boolean} True while a gamepad is connected
+     */
+    poll() {
+        const gamepads = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter(Boolean);
+        const pressed = new Set();
+
+        for (const gamepad of gamepads) {
+            this.getPressedControls(gamepad).forEach(control => pressed.add(control));
+        }
+
+        for (const control of pressed) {
+            if (!this.held.has(control)) {
+                const actions = InputManager.actions.filter(action => this.bindings[action].includes(control));
+                if (actions.length > 0) {
+                    this.emit(actions);
+                }
+            }
+        }
+        this.held = pressed;
+
+        return gamepads.length > 0;
+    }
+
+    /**
+     * Get the controls pressed on a gamepad
+     * @param {Gamepad} gamepad Gamepad to read
+     * @returns {string[]} Control names
+     */
+    getPressedControls(gamepad) {
+        const controls = [];
+
+        for (const [control, index] of Object.entries(GamepadInput.buttons)) {
+            if (gamepad.buttons[index] && gamepad.buttons[index].pressed) {
+                controls.push(control);
+            }
+        }
+
+        // Left stick
+        const [x = 0, y = 0] = gamepad.axes;
+        if (x <= -this.stickThreshold) {
+            controls.push('StickLeft');
+        } else if (x >= this.stickThreshold) {
+            controls.push('StickRight');
+        }
+        if (y <= -this.stickThreshold) {
+            controls.push('StickUp');
+        } else if (y >= this.stickThreshold) {
+            controls.push('StickDown');
+        }
+
+        return controls;
+    }
+}
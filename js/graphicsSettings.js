@@ -0,0 +1,107 @@
+/**
+ * Graphics settings for the endless runner game, with quality presets
+ */
+class GraphicsSettings {
+    /**
+     * @param {Storage|null} storage Where the settings are kept (none if null)
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.preset = 'high'; // low, medium, high or custom
+        Object.assign(this, GraphicsSettings.presets.high);
+        this.load();
+    }
+
+    /**
+     * Get the values of each preset:
+     * - shadows: whether the sun casts shadows, shadowMapSize: shadow resolution in pixels
+     * - antialias: multisampled edges (recreates the renderer when changed)
+     * - pixelRatio: largest device pixel ratio rendered at (below 1 renders under native resolution)
+     * - vegetation: share of the roadside trees and rocks shown (0-1)
+     * - drawDistance: camera far plane, with fog fading out the last stretch
+     * @returns {Object} Map of preset name to values
+     */
+    static get presets() {
+        return {
+            low: { shadows: false, shadowMapSize: 512, antialias: false, pixelRatio: 0.75, vegetation: 0.4, drawDistance: 120 },
+            medium: { shadows: true, shadowMapSize: 1024, antialias: false, pixelRatio: 1, vegetation: 0.7, drawDistance: 250 },
+            high: { shadows: true, shadowMapSize: 2048, antialias: true, pixelRatio: 2, vegetation: 1, drawDistance: 1000 }
+        };
+    }
+
+    /**
+     * Get the names of the settings a preset covers
+     * @returns {string[]} Setting names
+     */
+    static get keys() {
+        return Object.keys(GraphicsSettings.presets.high);
+    }
+
+    /**
+     * Load settings from storage
+     */
+    load() {
+        const saved = this.storage ? this.storage.getItem('endlessRunnerGraphics') : null;
+        if (!saved) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(saved);
+            if (GraphicsSettings.presets[data.preset]) {
+                this.applyPreset(data.preset);
+            } else {
+                // Custom settings keep the high values for anything missing
+                for (const key of GraphicsSettings.keys) {
+                    if (typeof data[key] === typeof this[key]) {
+                        this[key] = data[key];
+                    }
+                }
+                this.preset = 'custom';
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable graphics settings:', error);
+        }
+    }
+
+    /**
+     * Save settings to storage
+     */
+    save() {
+        if (this.storage) {
+            const data = { preset: this.preset };
+            GraphicsSettings.keys.forEach(key => data[key] = this[key]);
+            this.storage.setItem('endlessRunnerGraphics', JSON.stringify(data));
+        }
+    }
+
+    /**
+     * Switch to a preset's values
+     * @param {string} name Preset name
+     */
+    applyPreset(name) {
+        const preset = GraphicsSettings.presets[name];
+        if (!preset) {
+            throw new Error(`Unknown graphics preset: ${name}`);
+        }
+
+        Object.assign(this, preset);
+        this.preset = name;
+        this.save();
+    }
+
+    /**
+     * Change one setting, which makes the settings custom
+     * @param {string} key Setting name
+     * @param {*} value New value
+     */
+    set(key, value) {
+        if (!GraphicsSettings.keys.includes(key)) {
+            throw new Error(`Unknown graphics setting: ${key}`);
+        }
+
+        this[key] = value;
+        this.preset = 'custom';
+        this.save();
+    }
+}
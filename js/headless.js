@@ -0,0 +1,210 @@
+/**
+ * Node entry point for the headless simulation.
+ * Loads the simulation scripts (the same files index.html loads) into one context,
+ * so gameplay can be unit-tested and bulk-simulated without WebGL or a DOM.
+ *
+ * Usage as a module:  const { Simulation } = require('./js/headless.js').load();
+ * Usage from a shell: node js/headless.js [games] [seed] [difficulty] [idealGames]
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Simulation scripts in dependency order (keep in sync with index.html)
+const SIMULATION_SCRIPTS = [
+    'random.js',
+    'eventBus.js',
+    'aabb.js',
+    'lanes.js',
+    'leaderboard.js',
+    'score.js',
+    'formations.js',
+    'obstacleDistribution.js',
+    'collision.js',
+    'responses.js',
+    'player.js',
+    'difficulty.js',
+    'obstacles.js',
+    'coins.js',
+    'powerups.js',
+    'reachability.js',
+    'replay.js',
+    'stats.js',
+    'achievements.js',
+    'simulation.js'
+];
+
+// Classes made available to Node callers
+const EXPORTED_CLASSES = [
+    'RandomGenerator',
+    'EventBus',
+    'AABB',
+    'LaneLayout',
+    'Leaderboard',
+    'ScoreManager',
+    'FormationLibrary',
+    'ObstacleDistribution',
+    'CollisionDetector',
+    'CollisionResponder',
+    'Player',
+    'DifficultyProfiles',
+    'ObstacleManager',
+    'CoinManager',
+    'PowerUpManager',
+    'ReachabilityValidator',
+    'Replay',
+    'StatsTracker',
+    'AchievementTracker',
+    'Simulation'
+];
+
+/**
+ * Read the authored obstacle formations
+ * @returns {Object} Parsed formations file
+ */
+function loadFormations() {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'assets', 'data', 'formations.json'), 'utf8'));
+}
+
+/**
+ * Load the simulation classes into a fresh context
+ * @returns {Object} Map of class name to class
+ */
+function load() {
+    const context = vm.createContext({ console });
+
+    for (const script of SIMULATION_SCRIPTS) {
+        const filename = path.join(__dirname, script);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    // Classes are lexical globals in the context, so read them back by name
+    return vm.runInContext(`({ ${EXPORTED_CLASSES.join(', ')} })`, context);
+}
+
+/**
+ * Play one game with random inputs until the player crashes
+ * @param {Object} classes Classes returned by load()
+ * @param {string} seed Run seed
+ * @param {Object} formations Parsed formations file
+ * @param {number} maxTicks Give up after this many ticks
+ * @param {string} difficulty Difficulty profile name
+ * @returns {Object} Result with seed, ticks, score, the spawn validation report and obstacle pool metrics
+ */
+function playRandomGame(classes, seed, formations = loadFormations(), maxTicks = 60 * 60 * 10, difficulty = 'normal') {
+    const simulation = new classes.Simulation({ seed, formations, difficulty });
+    const inputRandom = new classes.RandomGenerator(seed).createStream('input');
+    const actions = ['jump', 'left', 'right', 'slide'];
+
+    simulation.reset(seed);
+    while (simulation.state === 'running' && simulation.tick < maxTicks) {
+        simulation.step(inputRandom.next() < 0.05 ? [inputRandom.pick(actions)] : []);
+    }
+
+    return { seed, ticks: simulation.tick, score: Math.floor(simulation.scoreManager.score), report: simulation.reachability.getReport(), pool: simulation.obstacles.getPoolMetrics() };
+}
+
+/**
+ * Play one game with an idealized player that follows the reachability search,
+ * so every seeded run it plays should be passable
+ * @param {Object} classes Classes returned by load()
+ * @param {string} seed Run seed
+ * @param {Object} formations Parsed formations file
+ * @param {number} maxTicks Stop after this many ticks
+ * @param {string} difficulty Difficulty profile name
+ * @returns {Object} Result with seed, ticks, score, crashed (the run ended in a crash, with its cause),
+ *                   trapped (decision points where no input was safe) and the spawn validation report
+ */
+function playIdealGame(classes, seed, formations = loadFormations(), maxTicks = 60 * 60 * 2, difficulty = 'normal') {
+    const simulation = new classes.Simulation({ seed, formations, difficulty });
+    const validator = simulation.reachability;
+    let trapped = 0;
+
+    simulation.reset(seed);
+    while (simulation.state === 'running' && simulation.tick < maxTicks) {
+        // Decide as often as the search assumes the player can
+        let action = null;
+        if (validator.isDecisionPoint(0)) {
+            const choice = validator.findSafeAction();
+            action = choice.action;
+            if (!choice.safe) {
+                trapped++;
+            }
+        }
+        simulation.step(action ? [action] : []);
+    }
+
+    return {
+        seed,
+        ticks: simulation.tick,
+        score: Math.floor(simulation.scoreManager.score),
+        crashed: simulation.state === 'ended',
+        cause: simulation.causeOfDeath ? simulation.causeOfDeath.type : null,
+        trapped,
+        report: validator.getReport()
+    };
+}
+
+if (require.main === module) {
+    const games = parseInt(process.argv[2]) || 1000;
+    const baseSeed = process.argv[3] || 'headless';
+    const difficulty = process.argv[4] || 'normal';
+    const idealGames = process.argv[5] !== undefined ? parseInt(process.argv[5]) || 0 : 10;
+    const classes = load();
+    const formations = loadFormations();
+
+    let totalScore = 0;
+    let best = null;
+    let rejected = 0;
+    let repaired = 0;
+    let doomed = 0;
+    let spawns = 0;
+    let reuses = 0;
+    let peakActive = 0;
+    for (let i = 0; i < games; i++) {
+        const result = playRandomGame(classes, `${baseSeed}-${i}`, formations, undefined, difficulty);
+        totalScore += result.score;
+        rejected += result.report.rejected;
+        repaired += result.report.repaired;
+        doomed += result.report.playerDoomed;
+        spawns += result.pool.spawns;
+        reuses += result.pool.reuses;
+        peakActive = Math.max(peakActive, result.pool.peakActive);
+        if (!best || result.score > best.score) {
+            best = result;
+        }
+    }
+
+    console.log(`Simulated ${games} games on ${difficulty}, average score ${(totalScore / games).toFixed(1)}, best ${best.score} (seed ${best.seed})`);
+    console.log(`Spawn validation rejected ${rejected} formations and repaired ${repaired}, random inputs were doomed at ${doomed} spawns`);
+    console.log(`Obstacle pools reused ${spawns > 0 ? (reuses / spawns * 100).toFixed(1) : 0}% of ${spawns} spawns, peak ${peakActive} active`);
+
+    // Random inputs can steer into a spot with no way out, but a player that follows
+    // the search must never be doomed, trapped or crash: every seeded run has to stay passable
+    const failedRuns = [];
+    for (let i = 0; i < idealGames; i++) {
+        const result = playIdealGame(classes, `${baseSeed}-${i}`, formations, undefined, difficulty);
+        const problems = [];
+        if (result.crashed) {
+            problems.push(`crashed into a ${result.cause} at tick ${result.ticks}`);
+        }
+        if (result.trapped > 0) {
+            problems.push(`no safe input at ${result.trapped} decision points`);
+        }
+        if (result.report.playerDoomed > 0) {
+            problems.push(`doomed at ${result.report.playerDoomed} spawns`);
+        }
+        if (problems.length > 0) {
+            failedRuns.push(`${result.seed} (${problems.join(', ')})`);
+        }
+    }
+
+    if (failedRuns.length > 0) {
+        console.error(`An idealized player failed ${failedRuns.length} of ${idealGames} games: ${failedRuns.join('; ')}`);
+        process.exitCode = 1;
+    } else if (idealGames > 0) {
+        console.log(`An idealized player got through all ${idealGames} games`);
+    }
+}
+
+module.exports = { load, loadFormations, playRandomGame, playIdealGame };
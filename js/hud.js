@@ -0,0 +1,157 @@
+/**
+ * Heads-up display for the endless runner game
+ */
+class Hud {
+    /**
+     * @param {Simulation} simulation Simulation whose state is shown
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.scoreManager = simulation.scoreManager;
+        this.powerUps = simulation.powerUps;
+        this.scoreElement = document.getElementById('current-score');
+        this.highScoreElement = document.getElementById('high-score');
+        this.coinsElement = document.getElementById('coins');
+        this.powerUpsElement = document.getElementById('power-ups');
+        this.livesElement = document.getElementById('lives');
+        this.finalScoreElement = document.getElementById('final-score');
+        this.finalCoinsElement = document.getElementById('final-coins');
+        this.announcementElement = document.getElementById('announcement');
+        this.toastElement = document.getElementById('achievement-toast');
+        this.uiContainer = document.getElementById('ui-container');
+        
+        // Announcements last a while in simulation time, so they wait out pauses
+        this.announcementDuration = 2.5; // Seconds
+        this.announcementStartTick = 0;
+        this.announcementEndTick = 0;
+        
+        // Achievement toasts, shown one at a time
+        this.toastDuration = 3; // Seconds
+        this.toastQueue = []; // Names waiting to be shown
+        this.toastEndTick = 0;
+        
+        this.update();
+    }
+
+    /**
+     * Update score display in UI
+     */
+    update() {
+        this.scoreElement.textContent = `Score: ${Math.floor(this.scoreManager.score)}`;
+        this.highScoreElement.textContent = `High Score: ${Math.floor(this.scoreManager.highScore)}`;
+        this.coinsElement.textContent = `Coins: ${this.scoreManager.coins} (${this.scoreManager.totalCoins} total)`;
+        this.updatePowerUps();
+        this.updateLives();
+        this.updateAnnouncement();
+        this.updateToast();
+    }
+    
+    /**
+     * Announce the obstacle types unlocked in the last simulation tick
+     */
+    announceUnlocks() {
+        const unlocked = this.simulation.obstaclesUnlocked;
+        
+        if (unlocked.length > 0) {
+            const labels = unlocked.map(type => this.simulation.obstacles.obstacleDefinitions[type].label);
+            this.announce(`New obstacle: ${labels.join(', ')}`);
+        }
+    }
+    
+    /**
+     * Float a "+Close call!" text up from the player for each near miss in the last simulation tick
+     */
+    showNearMisses() {
+        this.simulation.nearMisses.forEach(() => {
+            const text = document.createElement('div');
+            text.className = 'floating-text';
+            text.textContent = '+Close call!';
+            text.addEventListener('animationend', () => text.remove());
+            this.uiContainer.appendChild(text);
+        });
+    }
+    
+    /**
+     * Remove floating texts still on screen (e.g. after seeking a replay)
+     */
+    clearFloatingTexts() {
+        this.uiContainer.querySelectorAll('.floating-text').forEach(text => text.remove());
+    }
+    
+    /**
+     * Queue a toast for each achievement unlocked in the last simulation tick
+     */
+    announceAchievements() {
+        this.simulation.achievementsUnlocked.forEach(definition => this.toastQueue.push(definition.name));
+    }
+    
+    /**
+     * Show the next queued toast once the current one has run its time
+     */
+    updateToast() {
+        const tick = this.simulation.tick;
+        
+        if (tick >= this.toastEndTick && this.toastQueue.length > 0) {
+            this.toastElement.textContent = `Achievement unlocked: ${this.toastQueue.shift()}`;
+            this.toastEndTick = tick + Math.round(this.toastDuration / this.simulation.fixedTimeStep);
+        }
+        this.toastElement.classList.toggle('hidden', tick >= this.toastEndTick);
+    }
+    
+    /**
+     * Drop the toasts of the previous run
+     */
+    clearToasts() {
+        this.toastQueue = [];
+        this.toastEndTick = 0;
+        this.toastElement.classList.add('hidden');
+    }
+    
+    /**
+     * Show a message in the middle of the screen for a while
+     * @param {string} text Message
+     */
+    announce(text) {
+        this.announcementElement.textContent = text;
+        this.announcementStartTick = this.simulation.tick;
+        this.announcementEndTick = this.simulation.tick + Math.round(this.announcementDuration / this.simulation.fixedTimeStep);
+    }
+    
+    /**
+     * Hide the announcement once it has run its time (or the run was reset)
+     */
+    updateAnnouncement() {
+        const tick = this.simulation.tick;
+        this.announcementElement.classList.toggle('hidden', tick < this.announcementStartTick || tick >= this.announcementEndTick);
+    }
+    
+    /**
+     * Show the remaining lives (only in modes with more than one)
+     */
+    updateLives() {
+        const maxLives = this.simulation.modes[this.simulation.mode].lives;
+        this.livesElement.classList.toggle('hidden', maxLives <= 1);
+        this.livesElement.textContent = `Lives: ${'♥'.repeat(this.simulation.lives)}${'♡'.repeat(maxLives - this.simulation.lives)}`;
+    }
+    
+    /**
+     * Show a countdown for each active power-up
+     */
+    updatePowerUps() {
+        const countdowns = Object.entries(this.powerUps.effects).map(([type, effect]) => {
+            const definition = this.powerUps.definitions[type];
+            const label = type === 'multiplier' ? `${definition.label} x${this.powerUps.getScoreMultiplier()}` : definition.label;
+            return `${label} ${effect.remaining.toFixed(1)}s`;
+        });
+        
+        this.powerUpsElement.textContent = countdowns.join(' · ');
+    }
+
+    /**
+     * Update final score on game over screen
+     */
+    updateFinalScore() {
+        this.finalScoreElement.textContent = `Score: ${Math.floor(this.scoreManager.score)}`;
+        this.finalCoinsElement.textContent = `Coins: ${this.scoreManager.coins}`;
+    }
+}
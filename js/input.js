@@ -0,0 +1,45 @@
+/**
+ * Input layer for the endless runner game. Keyboard, gamepad and touch
+ * backends turn physical inputs into actions, so the game only sees actions.
+ */
+class InputManager {
+    /**
+     * @param {HTMLElement} touchSurface Element that receives touch gestures
+     * @param {Storage|null} storage Where remapped key bindings are kept (none if null)
+     */
+    constructor(touchSurface, storage = null) {
+        this.handler = null;
+
+        // Backends report the actions of each input through emit
+        const emit = actions => this.emit(actions);
+        this.keyboard = new KeyboardInput(emit, storage);
+        this.gamepad = new GamepadInput(emit);
+        this.touch = new TouchInput(touchSurface, emit);
+    }
+
+    /**
+     * Get every action an input can be mapped to
+     * @returns {string[]} Action names
+     */
+    static get actions() {
+        return ['jump', 'left', 'right', 'slide', 'pause', 'confirm'];
+    }
+
+    /**
+     * Set the function that handles actions
+     * @param {Function} handler Called with an action name, returns true if it used the action
+     */
+    setHandler(handler) {
+        this.handler = handler;
+    }
+
+    /**
+     * Pass the first of an input's actions that the handler uses
+     * (an input can be bound to several, e.g. Space is both jump and confirm)
+     * @param {string[]} actions Action names in order of preference
+     * @returns {boolean} True if the handler used one of them
+     */
+    emit(actions) {
+        return !!this.handler && actions.some(action => this.handler(action) === true);
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Keyboard backend of the input layer, with remappable bindings
+ */
+class KeyboardInput {
+    /**
+     * @param {Function} emit Called with the actions of a pressed key, returns true if one was used
+     * @param {Storage|null} storage Where bindings are kept (none if null)
+     */
+    constructor(emit, storage = null) {
+        this.emit = emit;
+        this.storage = storage;
+
+        // Key codes (KeyboardEvent.code) bound to each action, and the names of
+        // keys bound by pressing them (codes follow the physical US layout, so an
+        // AZERTY "A" is KeyQ)
+        this.bindings = KeyboardInput.defaultBindings;
+        this.keyNames = {};
+        this.loadBindings();
+
+        // Set while waiting for the key to bind
+        this.captureCallback = null;
+
+        document.addEventListener('keydown', event => this.handleKeyDown(event));
+    }
+
+    /**
+     * Get the default key codes of each action
+     * @returns {Object} Map of action name to key codes
+     */
+    static get defaultBindings() {
+        return {
+            jump: ['Space', 'ArrowUp'],
+            left: ['ArrowLeft'],
+            right: ['ArrowRight'],
+            slide: ['ArrowDown', 'KeyS'],
+            pause: ['Escape', 'KeyP'],
+            confirm: ['Space', 'Enter']
+        };
+    }
+
+    /**
+     * Load bindings from storage, keeping the defaults for actions it does not cover
+     */
+    loadBindings() {
+        const saved = this.storage ? this.storage.getItem('endlessRunnerKeyBindings') : null;
+        if (!saved) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(saved);
+            for (const action of InputManager.actions) {
+                const codes = data.bindings && data.bindings[action];
+                if (Array.isArray(codes) && codes.length > 0 && codes.every(code => typeof code === 'string')) {
+                    this.bindings[action] = codes;
+                }
+            }
+            this.keyNames = data.keyNames && typeof data.keyNames === 'object' ? data.keyNames : {};
+        } catch (error) {
+            console.warn('Ignoring unreadable key bindings:', error);
+        }
+    }
+
+    /**
+     * Save bindings to storage
+     */
+    saveBindings() {
+        if (this.storage) {
+            this.storage.setItem('endlessRunnerKeyBindings', JSON.stringify({ bindings: this.bindings, keyNames: this.keyNames }));
+        }
+    }
+
+    /**
+     * Get the action that already uses a key and cannot share it with another action.
+     * Confirm only acts on menus, so it can share a key with anything.
+     * @param {string} action Action being bound
+     * @param {string} code Key code
+     * @returns {string|null} Conflicting action, or null if the key is free
+     */
+    findConflict(action, code) {
+        if (action === 'confirm') {
+            return null;
+        }
+
+        return InputManager.actions.find(other => other !== action && other !== 'confirm' && this.bindings[other].includes(code)) || null;
+    }
+
+    /**
+     * Bind an action to a single key
+     * @param {string} action Action name
+     * @param {string} code Key code
+     * @param {string} keyName Name of the key on the player's layout (KeyboardEvent.key)
+     * @returns {string|null} Conflicting action if the key was refused, null once bound
+     */
+    bind(action, code, keyName) {
+        const conflict = this.findConflict(action, code);
+        if (conflict) {
+            return conflict;
+        }
+
+        this.bindings[action] = [code];
+
+        // Only printable keys need their layout's name (Space, arrows and the like are named by their code)
+        if (keyName && keyName.trim().length === 1) {
+            this.keyNames[code] = keyName.toUpperCase();
+        } else {
+            delete this.keyNames[code];
+        }
+        this.saveBindings();
+        return null;
+    }
+
+    /**
+     * Go back to the default bindings
+     */
+    resetBindings() {
+        this.bindings = KeyboardInput.defaultBindings;
+        this.keyNames = {};
+        this.saveBindings();
+    }
+
+    /**
+     * Get a readable name for a key
+     * @param {string} code Key code
+     * @returns {string} Key name, e.g. "Space", "Down" or "A"
+     */
+    getKeyName(code) {
+        if (this.keyNames[code]) {
+            return this.keyNames[code];
+        }
+
+        return code.replace(/^(Key|Digit|Arrow)/, '');
+    }
+
+    /**
+     * Get the name of the first key bound to an action
+     * @param {string} action Action name
+     * @returns {string} Key name
+     */
+    getActionKeyName(action) {
+        return this.getKeyName(this.bindings[action][0]);
+    }
+
+    /**
+     * Hand the next key press to a callback instead of emitting its actions
+     * @param {Function} callback Called with the keyboard event
+     */
+    captureNextKey(callback) {
+        this.captureCallback = callback;
+    }
+
+    /**
+     * Stop waiting for a key to bind
+     */
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    /**
+     * Get the actions a key is bound to
+     * @param {string} code Key code
+     * @returns {string[]} Action names
+     */
+    getActions(code) {
+        return InputManager.actions.filter(action => this.bindings[action].includes(code));
+    }
+
+    /**
+     * Emit the actions of a pressed key
+     * @param {KeyboardEvent} event Keyboard event
+     */
+    handleKeyDown(event) {
+        if (this.captureCallback) {
+            const callback = this.captureCallback;
+            this.captureCallback = null;
+            callback(event);
+            event.preventDefault();
+            return;
+        }
+
+        // Keys typed into a text field (e.g. the leaderboard name) are not game input
+        if (event.target && event.target.tagName === 'INPUT' && event.target.type === 'text') {
+            return;
+        }
+
+        const actions = this.getActions(event.code);
+
+        // Keep the browser from scrolling or pressing the focused button with keys the game used
+        if (actions.length > 0 && this.emit(actions)) {
+            event.preventDefault();
+        }
+    }
+}
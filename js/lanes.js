@@ -0,0 +1,39 @@
+/**
+ * Lane layout shared by the player and the obstacle spawner
+ */
+class LaneLayout {
+    /**
+     * @param {number} count Number of lanes
+     * @param {number} width Distance between lane centers
+     */
+    constructor(count = 3, width = 2) {
+        this.count = count;
+        this.width = width;
+    }
+
+    /**
+     * Get the index of the middle lane (the left-middle one for an even count)
+     * @returns {number} Lane index
+     */
+    get centerLane() {
+        return Math.floor((this.count - 1) / 2);
+    }
+
+    /**
+     * Get the x position of a lane's center
+     * @param {number} lane Lane index (0 is the leftmost lane)
+     * @returns {number} X position
+     */
+    getLaneX(lane) {
+        return (lane - (this.count - 1) / 2) * this.width;
+    }
+
+    /**
+     * Check whether a lane index exists
+     * @param {number} lane Lane index
+     * @returns {boolean} True if the lane exists
+     */
+    isValidLane(lane) {
+        return lane >= 0 && lane < this.count;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Local leaderboard for the endless runner game: the best runs of each difficulty
+ */
+class Leaderboard {
+    /**
+     * @param {Storage|null} storage Where the table is kept (none if null)
+     * @param {number} size Number of entries kept per difficulty
+     */
+    constructor(storage = null, size = 10) {
+        this.storage = storage;
+        this.size = size;
+        this.entries = []; // {name, score, distance, date, difficulty, cause}, best first
+        this.load();
+    }
+
+    /**
+     * Load the table from storage, migrating the single high scores kept before it existed
+     */
+    load() {
+        const saved = this.storage ? this.storage.getItem('endlessRunnerLeaderboard') : null;
+        if (!saved) {
+            this.migrateHighScores();
+            return;
+        }
+
+        try {
+            const data = JSON.parse(saved);
+            this.entries = data.filter(entry => typeof entry.score === 'number' && typeof entry.difficulty === 'string');
+            this.sort();
+        } catch (error) {
+            console.warn('Ignoring unreadable leaderboard:', error);
+        }
+    }
+
+    /**
+     * Save the table to storage
+     */
+    save() {
+        if (this.storage) {
+            this.storage.setItem('endlessRunnerLeaderboard', JSON.stringify(this.entries));
+        }
+    }
+
+    /**
+     * Turn the high scores saved by older versions (one key per difficulty) into entries.
+     * Only the score was kept, so the other details are unknown.
+     */
+    migrateHighScores() {
+        if (!this.storage) {
+            return;
+        }
+
+        for (const difficulty of Object.keys(DifficultyProfiles.profiles)) {
+            const key = difficulty === 'normal' ? 'endlessRunnerHighScore' : `endlessRunnerHighScore-${difficulty}`;
+            const score = parseInt(this.storage.getItem(key));
+
+            if (score > 0) {
+                this.entries.push({ name: '???', score: score, distance: null, date: null, difficulty: difficulty, cause: null });
+            }
+            this.storage.removeItem(key);
+        }
+
+        this.sort();
+        this.save();
+    }
+
+    /**
+     * Sort the entries best first
+     */
+    sort() {
+        this.entries.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Get the entries of a difficulty
+     * @param {string} difficulty Difficulty profile name
+     * @returns {Object[]} Entries, best first
+     */
+    getEntries(difficulty) {
+        return this.entries.filter(entry => entry.difficulty === difficulty);
+    }
+
+    /**
+     * Get the best score of a difficulty
+     * @param {string} difficulty Difficulty profile name
+     * @returns {number} Best score, or 0 without entries
+     */
+    getBestScore(difficulty) {
+        const entries = this.getEntries(difficulty);
+        return entries.length > 0 ? entries[0].score : 0;
+    }
+
+    /**
+     * Check whether a score would make the table
+     * @param {number} score Run score
+     * @param {string} difficulty Difficulty profile name
+     * @returns {boolean} True if the score earns an entry
+     */
+    qualifies(score, difficulty) {
+        const entries = this.getEntries(difficulty);
+        return score > 0 && (entries.length < this.size || score > entries[entries.length - 1].score);
+    }
+
+    /**
+     * Add a run to the table, dropping the entry it pushes out
+     * @param {Object} entry Run {name, score, distance, date, difficulty, cause}
+     * @returns {number} Rank of the run within its difficulty (1 is best), or 0 if it didn't qualify
+     */
+    add(entry) {
+        if (!this.qualifies(entry.score, entry.difficulty)) {
+            return 0;
+        }
+
+        this.entries.push(entry);
+        this.sort();
+
+        const entries = this.getEntries(entry.difficulty);
+        if (entries.length > this.size) {
+            this.entries = this.entries.filter(existing => existing !== entries[entries.length - 1]);
+        }
+
+        this.save();
+        return this.getEntries(entry.difficulty).indexOf(entry) + 1;
+    }
+
+    /**
+     * Change the name of an entry
+     * @param {Object} entry Entry in the table
+     * @param {string} name Player name
+     */
+    rename(entry, name) {
+        entry.name = name;
+        this.save();
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Leaderboard display for the endless runner game: the table on the start screen
+ * and the name prompt on the game over screen
+ */
+class LeaderboardView {
+    /**
+     * @param {Leaderboard} leaderboard Table shown and added to
+     * @param {Object} obstacleDefinitions Obstacle definitions, for the labels of causes of death
+     * @param {Storage|null} storage Where the last name entered is kept (none if null)
+     * @param {OnlineLeaderboard|null} online Online rankings offered next to the local table (none if null)
+     */
+    constructor(leaderboard, obstacleDefinitions, storage = null, online = null) {
+        this.leaderboard = leaderboard;
+        this.obstacleDefinitions = obstacleDefinitions;
+        this.storage = storage;
+        this.online = online;
+        this.entry = null; // Entry the name prompt renames
+        this.difficulty = 'normal'; // Difficulty of the table shown
+        this.requestId = 0; // Latest online ranking request, so older replies are ignored
+        this.maxNameLength = 3; // Arcade-style initials
+
+        // DOM elements
+        this.titleElement = document.getElementById('leaderboard-title');
+        this.tableBody = document.getElementById('leaderboard-body');
+        this.scopeSelect = document.getElementById('leaderboard-scope');
+        this.nameEntry = document.getElementById('name-entry');
+        this.rankElement = document.getElementById('name-entry-rank');
+        this.nameInput = document.getElementById('name-input');
+        this.saveButton = document.getElementById('name-save-button');
+
+        // The local table is the only one without an online leaderboard
+        this.scopeSelect.classList.toggle('hidden', !online);
+
+        // Event listeners
+        this.scopeSelect.addEventListener('change', () => this.showTable(this.difficulty));
+        this.saveButton.addEventListener('click', () => this.saveName());
+        this.nameInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                this.saveName();
+            }
+        });
+    }
+
+    /**
+     * Get the last name entered, used until the player enters another
+     * @returns {string} Player name
+     */
+    getLastName() {
+        const saved = this.storage ? this.storage.getItem('endlessRunnerPlayerName') : null;
+        return saved || '???';
+    }
+
+    /**
+     * Show the table of a difficulty, local or online depending on the chosen scope
+     * @param {string} difficulty Difficulty profile name
+     */
+    showTable(difficulty) {
+        const scope = this.online ? this.scopeSelect.value : 'local';
+
+        this.difficulty = difficulty;
+        this.titleElement.textContent = `Top Runs (${DifficultyProfiles.get(difficulty).label})`;
+        this.requestId++;
+
+        if (scope === 'local') {
+            this.showEntries(this.leaderboard.getEntries(difficulty));
+            return;
+        }
+
+        const requestId = this.requestId;
+        this.showMessage('Loading...');
+        this.online.getRankings(scope, difficulty)
+            .then(entries => {
+                if (requestId === this.requestId) {
+                    this.showEntries(entries);
+                }
+            })
+            .catch(error => {
+                console.warn('Could not load online rankings:', error);
+                if (requestId === this.requestId) {
+                    this.showMessage('Online rankings unavailable');
+                }
+            });
+    }
+
+    /**
+     * Show a message in place of the table rows
+     * @param {string} text Message
+     */
+    showMessage(text) {
+        this.tableBody.innerHTML = '';
+        const cell = this.tableBody.insertRow().insertCell();
+        cell.colSpan = 6;
+        cell.textContent = text;
+    }
+
+    /**
+     * Fill the table
+     * @param {Object[]} entries Entries, best first
+     */
+    showEntries(entries) {
+        if (entries.length === 0) {
+            this.showMessage('No runs yet');
+            return;
+        }
+
+        this.tableBody.innerHTML = '';
+
+        entries.forEach((entry, index) => {
+            const row = this.tableBody.insertRow();
+            row.classList.toggle('highlight', entry === this.entry);
+
+            const cells = [
+                index + 1,
+                entry.name,
+                entry.score,
+                typeof entry.distance === 'number' ? `${entry.distance}m` : '-',
+                entry.date ? new Date(entry.date).toLocaleDateString() : '-',
+                entry.cause && this.obstacleDefinitions[entry.cause] ? this.obstacleDefinitions[entry.cause].label : '-'
+            ];
+            cells.forEach(value => row.insertCell().textContent = String(value));
+        });
+    }
+
+    /**
+     * Ask for the name of a run that made the table. The run is already saved
+     * under the last name entered, so leaving without saving keeps it.
+     * @param {Object|null} entry Leaderboard entry of the run (hides the prompt if null)
+     */
+    promptName(entry) {
+        this.entry = entry;
+        this.nameEntry.classList.toggle('hidden', !entry);
+        if (!entry) {
+            return;
+        }
+
+        const rank = this.leaderboard.getEntries(entry.difficulty).indexOf(entry) + 1;
+        this.rankElement.textContent = `New entry at #${rank}! Enter your initials:`;
+        this.nameInput.value = entry.name === '???' ? '' : entry.name;
+        this.nameInput.focus();
+    }
+
+    /**
+     * Save the name typed into the prompt
+     */
+    saveName() {
+        const name = this.nameInput.value.trim().toUpperCase().slice(0, this.maxNameLength);
+        if (!this.entry || name === '') {
+            return;
+        }
+
+        this.leaderboard.rename(this.entry, name);
+        if (this.storage) {
+            this.storage.setItem('endlessRunnerPlayerName', name);
+        }
+        this.nameEntry.classList.add('hidden');
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Procedural music loop for the endless runner game, with a tempo that follows the run's speed
+ */
+class MusicLoop {
+    /**
+     * @param {SoundSynth} synth Sound recipes (also provides the audio context)
+     * @param {AudioNode} destination Node the music plays into
+     */
+    constructor(synth, destination) {
+        this.synth = synth;
+        this.context = synth.context;
+        this.destination = destination;
+
+        // Tempo in beats per minute at the run's starting speed, and its limits
+        this.baseTempo = 120;
+        this.minTempo = 80;
+        this.maxTempo = 200;
+        this.tempo = this.baseTempo;
+
+        // Two steps per beat, looping over a 16 step bar pair
+        this.stepsPerBeat = 2;
+        this.bass = [110, 0, 110, 0, 131, 0, 110, 0, 98, 0, 98, 0, 131, 0, 147, 0]; // Hz (0 rests)
+        this.lead = [440, 0, 523, 0, 0, 659, 0, 523, 392, 0, 0, 494, 0, 587, 523, 0];
+
+        this.playing = false;
+        this.step = 0;
+        this.nextStepTime = 0;
+    }
+
+    /**
+     * Start the loop from its first step
+     * @param {number} time Start time in context seconds
+     */
+    start(time = this.context.currentTime) {
+        this.playing = true;
+        this.step = 0;
+        this.nextStepTime = time;
+    }
+
+    /**
+     * Stop scheduling new steps (steps already scheduled still play out)
+     */
+    stop() {
+        this.playing = false;
+    }
+
+    /**
+     * Scale the tempo with the run's speed
+     * @param {number} speedRatio Current speed divided by the starting speed
+     */
+    setSpeedRatio(speedRatio) {
+        this.tempo = Math.min(Math.max(this.baseTempo * speedRatio, this.minTempo), this.maxTempo);
+    }
+
+    /**
+     * Schedule every step that starts before a time. Called regularly with a
+     * short lookahead, so the loop stops by itself soon after calls stop.
+     * @param {number} until Context time to schedule up to
+     */
+    schedule(until) {
+        if (!this.playing) {
+            return;
+        }
+
+        // Don't try to catch up on steps missed while nothing was scheduling
+        this.nextStepTime = Math.max(this.nextStepTime, this.context.currentTime);
+
+        while (this.nextStepTime < until) {
+            this.playStep(this.step, this.nextStepTime);
+            this.nextStepTime += 60 / this.tempo / this.stepsPerBeat;
+            this.step = (this.step + 1) % this.bass.length;
+        }
+    }
+
+    /**
+     * Play one step of the loop
+     * @param {number} step Step index
+     * @param {number} time Start time in context seconds
+     */
+    playStep(step, time) {
+        const stepLength = 60 / this.tempo / this.stepsPerBeat;
+
+        // Hi-hat on every step, accented on the beat
+        this.synth.noise(this.destination, time, { filter: 'highpass', frequency: 7000, duration: 0.04, volume: step % this.stepsPerBeat === 0 ? 0.12 : 0.06 });
+
+        if (this.bass[step] > 0) {
+            this.synth.tone(this.destination, time, { wave: 'triangle', frequency: this.bass[step], duration: stepLength * 1.8, volume: 0.35 });
+        }
+        if (this.lead[step] > 0) {
+            this.synth.tone(this.destination, time, { wave: 'square', frequency: this.lead[step], duration: stepLength * 0.9, volume: 0.05 });
+        }
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * Score-based obstacle type distribution for the endless runner game.
+ * The table is loaded from the obstacleTypes section of assets/data/formations.json.
+ */
+class ObstacleDistribution {
+    /**
+     * @param {Object} data Map of obstacle type to {unlockScore, weights: [{score, weight}]}.
+     *   Types missing from the table are unlocked from the start with a weight of 1.
+     * @param {string[]} obstacleTypes Known obstacle types
+     */
+    constructor(data, obstacleTypes) {
+        for (const type of Object.keys(data)) {
+            if (!obstacleTypes.includes(type)) {
+                throw new Error(`Obstacle distribution has unknown obstacle type "${type}"`);
+            }
+        }
+
+        this.types = {};
+        for (const type of obstacleTypes) {
+            this.types[type] = this.validate(type, data[type] || {});
+        }
+    }
+
+    /**
+     * Check a type's entry and fill in defaults
+     * @param {string} type Obstacle type
+     * @param {Object} entry Entry from the file
+     * @returns {Object} Validated entry {unlockScore, weights} with weights sorted by score
+     */
+    validate(type, entry) {
+        const weights = entry.weights || [{ score: 0, weight: 1 }];
+
+        if (!Array.isArray(weights) || weights.length === 0) {
+            throw new Error(`Obstacle type "${type}" has no weights`);
+        }
+
+        for (const point of weights) {
+            if (typeof point.score !== 'number' || typeof point.weight !== 'number' || point.weight < 0) {
+                throw new Error(`Obstacle type "${type}" has an invalid weight ${JSON.stringify(point)}`);
+            }
+        }
+
+        return {
+            unlockScore: entry.unlockScore || 0,
+            weights: weights.map(point => ({ score: point.score, weight: point.weight })).sort((a, b) => a.score - b.score)
+        };
+    }
+
+    /**
+     * Check whether a type has unlocked at a score
+     * @param {string} type Obstacle type
+     * @param {number} score Current score
+     * @returns {boolean} True once the score reaches the type's unlock score
+     */
+    isUnlocked(type, score) {
+        return score >= this.types[type].unlockScore;
+    }
+
+    /**
+     * Get the types that unlocked while the score rose
+     * @param {number} previousScore Score before the update
+     * @param {number} score Score after the update
+     * @returns {string[]} Types whose unlock score was crossed
+     */
+    getUnlocksBetween(previousScore, score) {
+        return Object.keys(this.types).filter(type => {
+            const unlockScore = this.types[type].unlockScore;
+            return unlockScore > previousScore && unlockScore <= score;
+        });
+    }
+
+    /**
+     * Get a type's weight at a score, interpolated linearly between the
+     * table's points and held at the first and last point
+     * @param {string} type Obstacle type
+     * @param {number} score Current score
+     * @returns {number} Weight (0 while the type is locked)
+     */
+    getWeight(type, score) {
+        if (!this.isUnlocked(type, score)) {
+            return 0;
+        }
+
+        const weights = this.types[type].weights;
+        if (score <= weights[0].score) {
+            return weights[0].weight;
+        }
+
+        for (let i = 1; i < weights.length; i++) {
+            const next = weights[i];
+            if (score < next.score) {
+                const previous = weights[i - 1];
+                const progress = (score - previous.score) / (next.score - previous.score);
+                return previous.weight + (next.weight - previous.weight) * progress;
+            }
+        }
+
+        return weights[weights.length - 1].weight;
+    }
+}
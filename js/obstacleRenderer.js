@@ -0,0 +1,192 @@
+/**
+ * Mirrors the simulated obstacles into the THREE scene
+ */
+class ObstacleRenderer {
+    constructor(scene, textures, obstacleManager) {
+        this.scene = scene;
+        this.textures = textures;
+        this.obstacleManager = obstacleManager;
+        
+        // Meshes stay attached to their (pooled) obstacle objects
+        this.meshes = new Map();
+        this.visibleMeshes = [];
+    }
+    
+    /**
+     * Get the mesh for an obstacle, creating it on first use
+     * @param {Object} obstacle Simulated obstacle
+     * @returns {THREE.Object3D} Obstacle mesh
+     */
+    getMesh(obstacle) {
+        let mesh = this.meshes.get(obstacle);
+        
+        if (!mesh) {
+            mesh = this.createMesh(obstacle.type);
+            mesh.traverse(part => part.castShadow = part.isMesh);
+            mesh.visible = false;
+            this.scene.add(mesh);
+            this.meshes.set(obstacle, mesh);
+        }
+        
+        return mesh;
+    }
+    
+    /**
+     * Create the mesh for an obstacle type
+     * @param {string} type Obstacle type
+     * @returns {THREE.Object3D} Obstacle mesh
+     */
+    createMesh(type) {
+        switch (type) {
+            case 'rock':
+                return this.createRock();
+            case 'log':
+                return this.createLog();
+            case 'tree':
+                return this.createTree();
+            case 'puddle':
+                return this.createPuddle();
+            case 'barrier':
+                return this.createBarrier();
+            default:
+                return this.createRock();
+        }
+    }
+    
+    /**
+     * Create a rock obstacle
+     * @returns {THREE.Mesh} Rock mesh
+     */
+    createRock() {
+        const geometry = new THREE.DodecahedronGeometry(0.8, 1);
+        const material = new THREE.MeshPhongMaterial({ 
+            map: this.textures.rock
+        });
+        const rock = new THREE.Mesh(geometry, material);
+        rock.position.set(0, 0.5, 0);
+        return rock;
+    }
+    
+    /**
+     * Create a log obstacle
+     * @returns {THREE.Mesh} Log mesh
+     */
+    createLog() {
+        const group = new THREE.Group();
+        
+        const geometry = new THREE.CylinderGeometry(0.5, 0.5, 3, 8);
+        const material = new THREE.MeshPhongMaterial({ 
+            map: this.textures.log
+        });
+        const log = new THREE.Mesh(geometry, material);
+        log.rotation.z = Math.PI / 2;
+        log.position.y = 0.5;
+        
+        group.add(log);
+        return group;
+    }
+    
+    /**
+     * Create a tree obstacle
+     * @returns {THREE.Group} Tree mesh group
+     */
+    createTree() {
+        const group = new THREE.Group();
+        
+        // Tree trunk with bark texture
+        const trunkGeometry = new THREE.CylinderGeometry(0.3, 0.4, 2, 8);
+        const trunkMaterial = new THREE.MeshPhongMaterial({ 
+            map: this.textures.bark
+        });
+        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+        trunk.position.y = 1;
+        
+        // Tree top with leaves texture
+        const topGeometry = new THREE.ConeGeometry(1.2, 3, 8);
+        const topMaterial = new THREE.MeshPhongMaterial({ 
+            map: this.textures.leaves
+        });
+        const top = new THREE.Mesh(topGeometry, topMaterial);
+        top.position.y = 3;
+        
+        group.add(trunk);
+        group.add(top);
+        
+        return group;
+    }
+    
+    /**
+     * Create a puddle obstacle
+     * @returns {THREE.Mesh} Puddle mesh
+     */
+    createPuddle() {
+        const geometry = new THREE.CylinderGeometry(1.5, 1.5, 0.1, 16);
+        const material = new THREE.MeshPhongMaterial({ 
+            color: 0x3498db,
+            transparent: true,
+            opacity: 0.7
+        });
+        const puddle = new THREE.Mesh(geometry, material);
+        puddle.position.y = 0.05;
+        return puddle;
+    }
+    
+    /**
+     * Create a barrier obstacle
+     * @returns {THREE.Group} Barrier mesh group
+     */
+    createBarrier() {
+        const group = new THREE.Group();
+        
+        // Horizontal bar
+        const barGeometry = new THREE.BoxGeometry(3, 0.3, 0.3);
+        const barMaterial = new THREE.MeshPhongMaterial({ color: 0xe74c3c });
+        const bar = new THREE.Mesh(barGeometry, barMaterial);
+        bar.position.y = 1.5;
+        
+        // Left post
+        const leftPostGeometry = new THREE.BoxGeometry(0.3, 3, 0.3);
+        const leftPost = new THREE.Mesh(leftPostGeometry, barMaterial);
+        leftPost.position.set(-1.35, 0, 0);
+        
+        // Right post
+        const rightPostGeometry = new THREE.BoxGeometry(0.3, 3, 0.3);
+        const rightPost = new THREE.Mesh(rightPostGeometry, barMaterial);
+        rightPost.position.set(1.35, 0, 0);
+        
+        group.add(bar);
+        group.add(leftPost);
+        group.add(rightPost);
+        
+        return group;
+    }
+    
+    /**
+     * Copy the simulated obstacles onto their meshes
+     */
+    sync() {
+        // Hide meshes of obstacles that are no longer active
+        for (const mesh of this.visibleMeshes) {
+            mesh.visible = false;
+        }
+        
+        // Free meshes of obstacles that were dropped from a full pool
+        for (const [obstacle, mesh] of this.meshes) {
+            if (obstacle.discarded) {
+                this.scene.remove(mesh);
+                this.meshes.delete(obstacle);
+            }
+        }
+        
+        this.visibleMeshes = this.obstacleManager.activeObstacles.map(obstacle => {
+            const mesh = this.getMesh(obstacle);
+            
+            // Models keep their own height above the ground
+            mesh.position.x = obstacle.position.x;
+            mesh.position.z = obstacle.position.z;
+            mesh.visible = true;
+            
+            return mesh;
+        });
+    }
+}
@@ -1,57 +1,205 @@
 /**
- * Obstacles for the endless runner game
+ * Obstacles for the endless runner game (simulation state only, see ObstacleRenderer)
  */
 class ObstacleManager {
-    constructor(scene, textures) {
-        this.scene = scene;
-        this.textures = textures;
+    /**
+     * @param {RandomGenerator} random Gameplay random generator
+     * @param {LaneLayout} lanes Lane layout shared with the player
+     */
+    constructor(random, lanes) {
+        this.random = random;
+        this.lanes = lanes;
         this.activeObstacles = [];
-        this.obstaclePool = [];
+        this.events = null; // EventBus spawns are published to
         this.obstacleTypes = ['rock', 'log', 'tree', 'puddle', 'barrier'];
         
-        // Obstacle generation settings
+        // Inactive obstacles by type, so a spawn always reuses the type it asks for.
+        // Pools grow on demand; obstacles released into a full pool are discarded.
+        this.obstaclePools = {};
+        this.obstacleTypes.forEach(type => this.obstaclePools[type] = []);
+        this.maxPoolSize = 20; // Per type
+        this.poolMetrics = this.createPoolMetrics();
+        
+        // Per-type definitions:
+        // - size/centerY: bounding box of the model (centerY is relative to the ground)
+        // - colliderScale: how much of the box counts for collisions. Only the
+        //   barrier's bar collides, so it can be slid under.
+        // - responses: effect of a hit by side (top, front, left, right), falling back
+        //   to default. Effects are defined in CollisionResponder.
+        // - nearMiss: margins around the collider (sideways and above) within which passing
+        //   the obstacle without touching it counts as a close call
+        // - label: name shown when the type unlocks
+        // - deathMessage: shown on the game over screen after a fatal hit
+        this.obstacleDefinitions = {
+            rock: {
+                size: { x: 1.6, y: 1.6, z: 1.6 },
+                centerY: 0.5,
+                colliderScale: { x: 0.9, y: 0.9, z: 0.9 },
+                responses: { default: 'fatal' },
+                nearMiss: { side: 0.3, top: 0.5 },
+                label: 'Rock',
+                deathMessage: 'Crashed into a rock'
+            },
+            log: {
+                size: { x: 3, y: 1, z: 1 },
+                centerY: 0.5,
+                colliderScale: { x: 0.9, y: 0.9, z: 1.2 },
+                responses: { top: 'stumble', default: 'fatal' },
+                nearMiss: { side: 0.2, top: 0.4 },
+                label: 'Log',
+                deathMessage: 'Tripped over a log'
+            },
+            tree: {
+                size: { x: 2.4, y: 4.5, z: 2.4 },
+                centerY: 2.25,
+                colliderScale: { x: 0.7, y: 0.9, z: 0.7 },
+                responses: { default: 'fatal' },
+                nearMiss: { side: 0.3, top: 0 },
+                label: 'Tree',
+                deathMessage: 'Ran into a tree'
+            },
+            puddle: {
+                size: { x: 3, y: 0.1, z: 3 },
+                centerY: 0.05,
+                colliderScale: { x: 1.2, y: 8, z: 1.2 }, // Reaches ankle height so running through it counts
+                responses: { default: 'slow' },
+                nearMiss: { side: 0.2, top: 0.3 },
+                label: 'Puddle',
+                deathMessage: 'Slipped in a puddle'
+            },
+            barrier: {
+                size: { x: 3, y: 0.3, z: 0.3 },
+                centerY: 1.5,
+                colliderScale: { x: 1.1, y: 1, z: 0.8 },
+                responses: { default: 'fatal' },
+                nearMiss: { side: 0.2, top: 0.4 }, // Sliding under always passes close, so only jumps over count
+                label: 'Barrier',
+                deathMessage: 'Smashed into a barrier'
+            }
+        };
+        
+        // Authored formations (single random obstacles until a formations file is loaded)
+        this.formations = FormationLibrary.createDefault(this.obstacleTypes);
+        
+        // Score-based type weights and unlocks (every type from the start until a formations file is loaded)
+        this.distribution = new ObstacleDistribution({}, this.obstacleTypes);
+        
+        // Optional check that every spawn leaves the player a way through
+        this.validator = null;
+        
+        // Obstacle generation settings (see DifficultyProfiles)
         this.spawnDistance = 80; // Spawn further away for better visibility
-        this.minSpawnInterval = 1.5;
-        this.maxSpawnInterval = 3;
+        this.spawnInterval = { min: 1.5, max: 3, finalMin: 1.1, finalMax: 2, tightenScore: 500 };
+        this.obstacleWeights = { rock: 1, log: 1, tree: 1, puddle: 1, barrier: 1 };
         this.nextSpawnTime = this.getRandomSpawnInterval();
         this.timeSinceLastSpawn = 0;
         
         // Game speed (affects how fast obstacles move)
-        this.speed = 0.2;
+        this.speed = 0.2; // Units per tick at 60Hz
+        this.baseSpeed = 0.2; // Speed before slowdowns and slow-motion
         this.initialSpeed = 0.2;
-        this.speedIncreaseRate = 0.00001;
+        this.speedIncreaseRate = 0.0004; // Per point of score
+        this.maxSpeed = 0.4;
+        
+        // Temporary slowdown, e.g. after running through a puddle
+        this.slowdownFactor = 1;
+        this.slowdownTimer = 0;
         
-        // Preload some obstacles
-        this.preloadObstacles(10);
+        // World time scale (below 1 during slow-motion) and the seconds it still lasts
+        this.timeScale = 1;
+        this.timeScaleTimer = 0;
+        
+        // Preload some obstacles of every type
+        this.preloadObstacles(2);
     }
     
     /**
      * Preload obstacles to improve performance
-     * @param {number} count Number of obstacles to preload
+     * @param {number} count Number of obstacles to preload per type
      */
     preloadObstacles(count) {
-        for (let i = 0; i < count; i++) {
-            const type = this.getRandomObstacleType();
-            const obstacle = this.createObstacle(type);
-            this.obstaclePool.push(obstacle);
+        for (const type of this.obstacleTypes) {
+            for (let i = 0; i < count; i++) {
+                this.poolMetrics.allocations++;
+                this.obstaclePools[type].push(this.createObstacle(type));
+            }
         }
     }
     
     /**
-     * Get a random obstacle type
+     * Create empty pool metrics
+     * @returns {Object} Counters {spawns, allocations, reuses, discards, peakActive}
+     */
+    createPoolMetrics() {
+        return {
+            spawns: 0, // Obstacles spawned
+            allocations: 0, // Obstacles created for the pools (preloaded or on demand)
+            reuses: 0, // Spawns served from a pool
+            discards: 0, // Releases dropped because the pool was full
+            peakActive: 0 // Most obstacles active at once
+        };
+    }
+    
+    /**
+     * Get pool metrics for debug tooling
+     * @returns {Object} Counters plus reuseRate (share of spawns served from a pool),
+     *   the current active count and the pooled count per type
+     */
+    getPoolMetrics() {
+        const metrics = this.poolMetrics;
+        const pooled = {};
+        this.obstacleTypes.forEach(type => pooled[type] = this.obstaclePools[type].length);
+        
+        return {
+            ...metrics,
+            reuseRate: metrics.spawns > 0 ? metrics.reuses / metrics.spawns : 0,
+            active: this.activeObstacles.length,
+            pooled: pooled
+        };
+    }
+    
+    /**
+     * Clear the pool metrics counters
+     */
+    resetPoolMetrics() {
+        this.poolMetrics = this.createPoolMetrics();
+        this.poolMetrics.peakActive = this.activeObstacles.length;
+    }
+    
+    /**
+     * Apply a difficulty profile's speed curve, spawn intervals and obstacle mix
+     * @param {Object} profile Profile from DifficultyProfiles
+     */
+    setDifficulty(profile) {
+        this.initialSpeed = profile.speed.initial;
+        this.speedIncreaseRate = profile.speed.increasePerScore;
+        this.maxSpeed = profile.speed.max;
+        this.spawnInterval = { ...profile.spawnInterval };
+        this.obstacleWeights = { ...profile.obstacleWeights };
+    }
+    
+    /**
+     * Get a random obstacle type, weighted by the obstacle mix and by the
+     * distribution at the current score
+     * @param {number} score Current score
      * @returns {string} Random obstacle type
      */
-    getRandomObstacleType() {
-        const index = Math.floor(Math.random() * this.obstacleTypes.length);
-        return this.obstacleTypes[index];
+    getRandomObstacleType(score = 0) {
+        return this.random.pickWeighted(this.obstacleTypes, type => (this.obstacleWeights[type] || 0) * this.distribution.getWeight(type, score));
     }
     
     /**
-     * Get a random spawn interval
+     * Get a random spawn interval, from a range that tightens as the score rises
+     * @param {number} score Current score
      * @returns {number} Random spawn interval
      */
-    getRandomSpawnInterval() {
-        return Math.random() * (this.maxSpawnInterval - this.minSpawnInterval) + this.minSpawnInterval;
+    getRandomSpawnInterval(score = 0) {
+        const interval = this.spawnInterval;
+        const progress = Math.min(score / interval.tightenScore, 1);
+        const min = interval.min + (interval.finalMin - interval.min) * progress;
+        const max = interval.max + (interval.finalMax - interval.max) * progress;
+        
+        return this.random.range(min, max);
     }
     
     /**
@@ -60,189 +208,155 @@ class ObstacleManager {
      * @returns {Object} Obstacle object
      */
     createObstacle(type) {
-        let mesh;
-        let colliderScale = { x: 1, y: 1, z: 1 };
-        
-        switch (type) {
-            case 'rock':
-                mesh = this.createRock();
-                colliderScale = { x: 0.9, y: 0.9, z: 0.9 };
-                break;
-            case 'log':
-                mesh = this.createLog();
-                colliderScale = { x: 0.9, y: 0.9, z: 1.2 };
-                break;
-            case 'tree':
-                mesh = this.createTree();
-                colliderScale = { x: 0.7, y: 0.9, z: 0.7 };
-                break;
-            case 'puddle':
-                mesh = this.createPuddle();
-                colliderScale = { x: 1.2, y: 0.5, z: 1.2 };
-                break;
-            case 'barrier':
-                mesh = this.createBarrier();
-                colliderScale = { x: 1.1, y: 0.9, z: 0.8 };
-                break;
-            default:
-                mesh = this.createRock();
-                break;
-        }
-        
-        // Hide the mesh initially
-        mesh.visible = false;
-        this.scene.add(mesh);
+        const definition = this.obstacleDefinitions[type] || this.obstacleDefinitions.rock;
         
         // Create obstacle object
         const obstacle = {
             type: type,
-            mesh: mesh,
-            collider: null,
+            position: { x: 0, y: 0, z: 0 },
+            collider: new AABB(),
             active: false,
-            colliderScale: colliderScale
+            lane: 0,
+            size: definition.size,
+            centerY: definition.centerY,
+            colliderScale: definition.colliderScale,
+            nearMissMargin: definition.nearMiss,
+            hit: false, // Set once a non-fatal hit has been applied
+            grazed: false, // Set once the player came within the near miss margins
+            nearMissCounted: false // Set once the near miss has been awarded
         };
         
         return obstacle;
     }
     
     /**
-     * Create a rock obstacle
-     * @returns {THREE.Mesh} Rock mesh
+     * Use a different set of formations
+     * @param {FormationLibrary} formations Formation library
      */
-    createRock() {
-        const geometry = new THREE.DodecahedronGeometry(0.8, 1);
-        const material = new THREE.MeshPhongMaterial({ 
-            map: this.textures.rock
-        });
-        const rock = new THREE.Mesh(geometry, material);
-        rock.position.set(0, 0.5, 0);
-        return rock;
+    setFormations(formations) {
+        this.formations = formations;
     }
     
     /**
-     * Create a log obstacle
-     * @returns {THREE.Mesh} Log mesh
+     * Use a different obstacle type distribution
+     * @param {ObstacleDistribution} distribution Obstacle type distribution
      */
-    createLog() {
-        const group = new THREE.Group();
-        
-        const geometry = new THREE.CylinderGeometry(0.5, 0.5, 3, 8);
-        const material = new THREE.MeshPhongMaterial({ 
-            map: this.textures.log
-        });
-        const log = new THREE.Mesh(geometry, material);
-        log.rotation.z = Math.PI / 2;
-        log.position.y = 0.5;
-        
-        group.add(log);
-        return group;
+    setDistribution(distribution) {
+        this.distribution = distribution;
     }
     
     /**
-     * Create a tree obstacle
-     * @returns {THREE.Group} Tree mesh group
+     * Set the validator that rejects or repairs spawns with no way through
+     * @param {ReachabilityValidator} validator Reachability validator
      */
-    createTree() {
-        const group = new THREE.Group();
-        
-        // Tree trunk with bark texture
-        const trunkGeometry = new THREE.CylinderGeometry(0.3, 0.4, 2, 8);
-        const trunkMaterial = new THREE.MeshPhongMaterial({ 
-            map: this.textures.bark
-        });
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-        trunk.position.y = 1;
-        
-        // Tree top with leaves texture
-        const topGeometry = new THREE.ConeGeometry(1.2, 3, 8);
-        const topMaterial = new THREE.MeshPhongMaterial({ 
-            map: this.textures.leaves
-        });
-        const top = new THREE.Mesh(topGeometry, topMaterial);
-        top.position.y = 3;
-        
-        group.add(trunk);
-        group.add(top);
-        
-        return group;
+    setValidator(validator) {
+        this.validator = validator;
     }
     
     /**
-     * Create a puddle obstacle
-     * @returns {THREE.Mesh} Puddle mesh
+     * Resolve a formation's random types, lanes and mirroring into concrete obstacles
+     * @param {Object} formation Formation from the library
+     * @param {number} score Current score
+     * @returns {Object} Plan {formation, obstacles: [{type, lane, distance}]}
      */
-    createPuddle() {
-        const geometry = new THREE.CylinderGeometry(1.5, 1.5, 0.1, 16);
-        const material = new THREE.MeshPhongMaterial({ 
-            color: 0x3498db,
-            transparent: true,
-            opacity: 0.7
-        });
-        const puddle = new THREE.Mesh(geometry, material);
-        puddle.position.y = 0.05;
-        return puddle;
+    planFormation(formation, score = 0) {
+        const mirrored = formation.mirror && this.random.next() < 0.5;
+        const obstacles = [];
+        
+        for (const entry of formation.obstacles) {
+            const type = entry.type === 'random' ? this.getRandomObstacleType(score) : entry.type;
+            let lane = entry.lane === 'random' ? this.random.int(this.lanes.count) : entry.lane;
+            
+            if (mirrored) {
+                lane = this.lanes.count - 1 - lane;
+            }
+            
+            // Formations authored for more lanes than we have lose their outer obstacles
+            if (this.lanes.isValidLane(lane)) {
+                obstacles.push({ type: type, lane: lane, distance: this.spawnDistance + entry.z });
+            }
+        }
+        
+        return { formation: formation.name, obstacles: obstacles };
     }
     
     /**
-     * Create a barrier obstacle
-     * @returns {THREE.Group} Barrier mesh group
+     * Pick the next formation, validated when a validator is set
+     * @param {number} score Current score
+     * @returns {Object} Plan {formation, obstacles: [{type, lane, distance}]}
+     */
+    chooseNextPlan(score) {
+        const isUnlocked = type => this.distribution.isUnlocked(type, score);
+        const createPlan = () => this.planFormation(this.formations.pick(this.random, score, isUnlocked), score);
+        return this.validator ? this.validator.choosePlan(createPlan) : createPlan();
+    }
+    
+    /**
+     * Spawn every obstacle of a plan
+     * @param {Object} plan Plan from planFormation
      */
-    createBarrier() {
-        const group = new THREE.Group();
-        
-        // Horizontal bar
-        const barGeometry = new THREE.BoxGeometry(3, 0.3, 0.3);
-        const barMaterial = new THREE.MeshPhongMaterial({ color: 0xe74c3c });
-        const bar = new THREE.Mesh(barGeometry, barMaterial);
-        bar.position.y = 1.5;
-        
-        // Left post
-        const leftPostGeometry = new THREE.BoxGeometry(0.3, 3, 0.3);
-        const leftPost = new THREE.Mesh(leftPostGeometry, barMaterial);
-        leftPost.position.set(-1.35, 0, 0);
-        
-        // Right post
-        const rightPostGeometry = new THREE.BoxGeometry(0.3, 3, 0.3);
-        const rightPost = new THREE.Mesh(rightPostGeometry, barMaterial);
-        rightPost.position.set(1.35, 0, 0);
-        
-        group.add(bar);
-        group.add(leftPost);
-        group.add(rightPost);
-        
-        return group;
+    spawnPlan(plan) {
+        for (const entry of plan.obstacles) {
+            this.spawnObstacle(entry.type, entry.lane, entry.distance);
+        }
     }
     
     /**
      * Spawn a new obstacle
+     * @param {string} type Obstacle type
+     * @param {number} lane Lane index
+     * @param {number} distance Distance in front of the origin
      */
-    spawnObstacle() {
+    spawnObstacle(type, lane, distance) {
+        const pool = this.obstaclePools[type];
         let obstacle;
         
-        // Get obstacle from pool or create new one
-        if (this.obstaclePool.length > 0) {
-            obstacle = this.obstaclePool.pop();
+        // Get obstacle from its type's pool or create new one
+        this.poolMetrics.spawns++;
+        if (pool.length > 0) {
+            obstacle = pool.pop();
+            this.poolMetrics.reuses++;
         } else {
-            const type = this.getRandomObstacleType();
             obstacle = this.createObstacle(type);
+            this.poolMetrics.allocations++;
         }
         
         // Position the obstacle in front of the player
-        obstacle.mesh.position.z = -this.spawnDistance;
-        
-        // Random x position (3 lanes)
-        const lane = Math.floor(Math.random() * 3) - 1; // -1, 0, or 1
-        obstacle.mesh.position.x = lane * 2;
+        obstacle.position.z = -distance;
+        obstacle.lane = lane;
+        obstacle.position.x = this.lanes.getLaneX(lane);
         
-        // Make obstacle visible
-        obstacle.mesh.visible = true;
         obstacle.active = true;
+        obstacle.hit = false;
+        obstacle.grazed = false;
+        obstacle.nearMissCounted = false;
         
         // Create collider
         this.updateObstacleCollider(obstacle);
         
         // Add to active obstacles
         this.activeObstacles.push(obstacle);
+        this.poolMetrics.peakActive = Math.max(this.poolMetrics.peakActive, this.activeObstacles.length);
+        
+        if (this.events) {
+            this.events.emit('spawn', { obstacle: obstacle, type: type, lane: lane });
+        }
+    }
+    
+    /**
+     * Return an inactive obstacle to its type's pool, or discard it if the pool is full
+     * @param {Object} obstacle Obstacle that left play
+     */
+    releaseObstacle(obstacle) {
+        const pool = this.obstaclePools[obstacle.type];
+        obstacle.active = false;
+        
+        if (pool.length < this.maxPoolSize) {
+            pool.push(obstacle);
+        } else {
+            obstacle.discarded = true; // Lets renderers free its mesh
+            this.poolMetrics.discards++;
+        }
     }
     
     /**
@@ -250,71 +364,120 @@ class ObstacleManager {
      * @param {Object} obstacle Obstacle to update
      */
     updateObstacleCollider(obstacle) {
-        obstacle.collider = new THREE.Box3().setFromObject(obstacle.mesh);
-        
         // Scale the collider based on obstacle type
-        const size = new THREE.Vector3();
-        obstacle.collider.getSize(size);
-        
-        const center = new THREE.Vector3();
-        obstacle.collider.getCenter(center);
-        
-        obstacle.collider = new THREE.Box3(
-            new THREE.Vector3(
-                center.x - size.x * obstacle.colliderScale.x / 2,
-                center.y - size.y * obstacle.colliderScale.y / 2,
-                center.z - size.z * obstacle.colliderScale.z / 2
-            ),
-            new THREE.Vector3(
-                center.x + size.x * obstacle.colliderScale.x / 2,
-                center.y + size.y * obstacle.colliderScale.y / 2,
-                center.z + size.z * obstacle.colliderScale.z / 2
-            )
+        obstacle.collider.setFromCenterAndSize(
+            {
+                x: obstacle.position.x,
+                y: obstacle.position.y + obstacle.centerY,
+                z: obstacle.position.z
+            },
+            {
+                x: obstacle.size.x * obstacle.colliderScale.x,
+                y: obstacle.size.y * obstacle.colliderScale.y,
+                z: obstacle.size.z * obstacle.colliderScale.z
+            }
         );
     }
     
+    /**
+     * Slow the game down for a while (the strongest active slowdown wins)
+     * @param {number} factor Speed multiplier (0-1)
+     * @param {number} duration Duration in seconds
+     */
+    slowDown(factor, duration) {
+        this.slowdownFactor = Math.min(this.slowdownFactor, factor);
+        this.slowdownTimer = Math.max(this.slowdownTimer, duration);
+    }
+    
+    /**
+     * Predict how far obstacles move over the next ticks, with slowdowns and slow-motion
+     * wearing off on schedule (the speed gained from score on the way depends on the player's
+     * path, see ReachabilityValidator.advanceTrack)
+     * @param {number} distance Predict until obstacles have moved further than this
+     * @returns {number[]} Distance moved by the end of each upcoming tick
+     */
+    predictTravel(distance) {
+        const deltaTime = 1 / 60;
+        const travel = [];
+        let slowdownTimer = this.slowdownTimer;
+        let timeScaleTimer = this.timeScaleTimer;
+        let moved = 0;
+        
+        // Mirrors update: the time scale is counted down before each tick, the slowdown after
+        while (moved <= distance) {
+            timeScaleTimer -= deltaTime;
+            const slowdownFactor = slowdownTimer > 0 ? this.slowdownFactor : 1;
+            const timeScale = timeScaleTimer > 0 ? this.timeScale : 1;
+            moved += this.baseSpeed * slowdownFactor * timeScale;
+            travel.push(moved);
+            slowdownTimer -= deltaTime;
+        }
+        
+        return travel;
+    }
+    
     /**
      * Update obstacles
-     * @param {number} deltaTime Time since last update
+     * @param {number} deltaTime Time since last update in seconds
      * @param {number} score Current score
+     * @returns {Object|null} Plan spawned during this update, if any
      */
     update(deltaTime, score) {
-        // Increase speed over time
-        this.speed = this.initialSpeed + score * this.speedIncreaseRate;
+        // Number of 60Hz ticks this update covers
+        const ticks = deltaTime * 60;
+        
+        // Increase speed with score, up to the cap
+        this.baseSpeed = Math.min(this.initialSpeed + score * this.speedIncreaseRate, this.maxSpeed);
+        this.speed = this.baseSpeed * this.slowdownFactor * this.timeScale;
+        
+        // Recover from slowdowns
+        if (this.slowdownTimer > 0) {
+            this.slowdownTimer -= deltaTime;
+            if (this.slowdownTimer <= 0) {
+                this.slowdownFactor = 1;
+            }
+        }
         
         // Update spawn timer
         this.timeSinceLastSpawn += deltaTime;
         
-        // Spawn new obstacle if needed
-        if (this.timeSinceLastSpawn >= this.nextSpawnTime) {
-            this.spawnObstacle();
-            this.timeSinceLastSpawn = 0;
-            this.nextSpawnTime = this.getRandomSpawnInterval();
-        }
-        
         // Update active obstacles
         for (let i = this.activeObstacles.length - 1; i >= 0; i--) {
             const obstacle = this.activeObstacles[i];
             
             // Move obstacle toward player (positive z direction)
-            obstacle.mesh.position.z += this.speed;
+            obstacle.position.z += this.speed * ticks;
             
             // Update collider
             this.updateObstacleCollider(obstacle);
             
             // Remove if passed player
-            if (obstacle.mesh.position.z > 10) {
-                // Hide mesh
-                obstacle.mesh.visible = false;
-                obstacle.active = false;
+            if (obstacle.position.z > 10) {
+                if (!obstacle.hit && this.events) {
+                    this.events.emit('obstaclePassed', { obstacle: obstacle, type: obstacle.type });
+                }
                 
                 // Remove from active obstacles
                 this.activeObstacles.splice(i, 1);
                 
                 // Add back to pool
-                this.obstaclePool.push(obstacle);
+                this.releaseObstacle(obstacle);
             }
         }
+        
+        // Spawn the next formation if needed, leaving room for the whole formation to pass.
+        // Obstacles have moved by now, so the reachability search starts from the end of this tick.
+        let plan = null;
+        if (this.timeSinceLastSpawn >= this.nextSpawnTime) {
+            plan = this.chooseNextPlan(score);
+            this.spawnPlan(plan);
+            
+            const depth = plan.obstacles.reduce((max, entry) => Math.max(max, entry.distance - this.spawnDistance), 0);
+            this.timeSinceLastSpawn = 0;
+            this.nextSpawnTime = this.getRandomSpawnInterval(score) + depth / (this.speed * 60);
+        }
+        
+        return plan;
     }
     
     /**
@@ -323,9 +486,7 @@ class ObstacleManager {
     reset() {
         // Return all active obstacles to pool
         for (const obstacle of this.activeObstacles) {
-            obstacle.mesh.visible = false;
-            obstacle.active = false;
-            this.obstaclePool.push(obstacle);
+            this.releaseObstacle(obstacle);
         }
         
         // Clear active obstacles
@@ -333,6 +494,11 @@ class ObstacleManager {
         
         // Reset speed
         this.speed = this.initialSpeed;
+        this.baseSpeed = this.initialSpeed;
+        this.slowdownFactor = 1;
+        this.slowdownTimer = 0;
+        this.timeScale = 1;
+        this.timeScaleTimer = 0;
         
         // Reset spawn timer
         this.timeSinceLastSpawn = 0;
@@ -0,0 +1,155 @@
+/**
+ * Online leaderboard client for the endless runner game. Finished runs are
+ * submitted with their seed and input log, so the server can re-simulate them
+ * (see server/verifier.js) instead of trusting the claimed score.
+ *
+ * REST API (relative to the endpoint):
+ * - POST /runs {player, name, score, replay} -> {accepted, rank} or {accepted: false, reason}
+ * - GET /rankings?difficulty=&limit=[&players=a,b] -> {entries}
+ */
+class OnlineLeaderboard {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint Base URL of the leaderboard API
+     * @param {Storage|null} options.storage Where the player ID and friends are kept (none if null)
+     * @param {Function} options.fetch Fetch implementation (the global fetch if omitted)
+     */
+    constructor(options) {
+        this.endpoint = options.endpoint.replace(/\/+$/, '');
+        this.storage = options.storage || null;
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+
+        // Anonymous ID that ties this browser's runs together, and the IDs of friends
+        this.playerId = this.loadPlayerId();
+        this.friends = this.loadFriends();
+    }
+
+    /**
+     * Get the endpoint set in the page URL (?leaderboard=https://...)
+     * @returns {string|null} Endpoint, or null if online scores are off
+     */
+    static getEndpointFromUrl() {
+        const endpoint = new URLSearchParams(window.location.search).get('leaderboard');
+        return endpoint ? endpoint : null;
+    }
+
+    /**
+     * Load the player ID from storage, creating one on first use
+     * @returns {string} Player ID
+     */
+    loadPlayerId() {
+        const saved = this.storage ? this.storage.getItem('endlessRunnerPlayerId') : null;
+        if (saved) {
+            return saved;
+        }
+
+        const playerId = typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : RandomGenerator.createSeed();
+        if (this.storage) {
+            this.storage.setItem('endlessRunnerPlayerId', playerId);
+        }
+        return playerId;
+    }
+
+    /**
+     * Load the friends' player IDs from storage
+     * @returns {string[]} Player IDs
+     */
+    loadFriends() {
+        const saved = this.storage ? this.storage.getItem('endlessRunnerFriends') : null;
+        if (!saved) {
+            return [];
+        }
+
+        try {
+            const friends = JSON.parse(saved);
+            return Array.isArray(friends) ? friends.filter(friend => typeof friend === 'string') : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable friends list:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Add a friend whose runs show in the friends ranking
+     * @param {string} playerId Friend's player ID
+     */
+    addFriend(playerId) {
+        if (playerId !== this.playerId && !this.friends.includes(playerId)) {
+            this.friends.push(playerId);
+            this.saveFriends();
+        }
+    }
+
+    /**
+     * Remove a friend
+     * @param {string} playerId Friend's player ID
+     */
+    removeFriend(playerId) {
+        this.friends = this.friends.filter(friend => friend !== playerId);
+        this.saveFriends();
+    }
+
+    /**
+     * Save the friends list to storage
+     */
+    saveFriends() {
+        if (this.storage) {
+            this.storage.setItem('endlessRunnerFriends', JSON.stringify(this.friends));
+        }
+    }
+
+    /**
+     * Submit a finished run
+     * @param {Replay} replay Recording of the run (its length must be set)
+     * @param {number} score Claimed score (whole points)
+     * @param {string} name Player name shown in the rankings
+     * @returns {Promise<Object>} Server reply {accepted, rank} or {accepted: false, reason}
+     */
+    submitRun(replay, score, name) {
+        return this.request('/runs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                player: this.playerId,
+                name: name,
+                score: score,
+                replay: JSON.parse(replay.serialize())
+            })
+        });
+    }
+
+    /**
+     * Fetch a ranking
+     * @param {string} scope global, or friends (this player and their friends)
+     * @param {string} difficulty Difficulty profile name
+     * @param {number} limit Number of entries
+     * @returns {Promise<Object[]>} Entries {player, name, score, distance, date, difficulty, cause}, best first
+     */
+    getRankings(scope, difficulty, limit = 10) {
+        const params = new URLSearchParams({ difficulty: difficulty, limit: String(limit) });
+        if (scope === 'friends') {
+            params.set('players', [this.playerId, ...this.friends].join(','));
+        } else if (scope !== 'global') {
+            throw new Error(`Unknown ranking scope: ${scope}`);
+        }
+
+        return this.request(`/rankings?${params}`, { method: 'GET' }).then(data => data.entries);
+    }
+
+    /**
+     * Send a request to the API
+     * @param {string} path Path under the endpoint
+     * @param {Object} init Fetch options
+     * @returns {Promise<Object>} Parsed reply
+     */
+    request(path, init) {
+        return this.fetch(this.endpoint + path, init)
+            .then(response => {
+                // A rejected run (422) is an answer, not a failure
+                if (!response.ok && response.status !== 422) {
+                    throw new Error(`Leaderboard request failed: HTTP ${response.status}`);
+                }
+                return response.json();
+            });
+    }
+}
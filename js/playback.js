@@ -0,0 +1,72 @@
+/**
+ * Replay playback controls for the endless runner game
+ */
+class PlaybackControls {
+    constructor(game) {
+        this.game = game;
+        this.paused = false;
+        this.speed = 1;
+        this.minSpeed = 0.25;
+        this.maxSpeed = 4;
+
+        // DOM elements
+        this.container = document.getElementById('replay-controls');
+        this.pauseButton = document.getElementById('replay-pause-button');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.scrubber = document.getElementById('replay-scrubber');
+        this.tickElement = document.getElementById('replay-tick');
+        this.exitButton = document.getElementById('replay-exit-button');
+
+        // Event listeners
+        this.pauseButton.addEventListener('click', () => this.setPaused(!this.paused));
+        this.speedSelect.addEventListener('change', () => this.setSpeed(parseFloat(this.speedSelect.value)));
+        this.scrubber.addEventListener('input', () => this.game.seekReplay(parseInt(this.scrubber.value)));
+        this.exitButton.addEventListener('click', () => this.game.exitReplay());
+    }
+
+    /**
+     * Show the controls for a replay
+     * @param {Replay} replay Replay being played
+     */
+    show(replay) {
+        this.setPaused(false);
+        this.setSpeed(1);
+        this.scrubber.max = replay.length;
+        this.update(0);
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the controls
+     */
+    hide() {
+        this.container.classList.add('hidden');
+    }
+
+    /**
+     * Pause or resume playback
+     * @param {boolean} paused Whether playback is paused
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        this.pauseButton.textContent = paused ? 'Play' : 'Pause';
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} speed Speed multiplier (0.25x-4x)
+     */
+    setSpeed(speed) {
+        this.speed = Math.min(Math.max(speed, this.minSpeed), this.maxSpeed);
+        this.speedSelect.value = this.speed.toString();
+    }
+
+    /**
+     * Update the scrubber position
+     * @param {number} tick Current simulation tick
+     */
+    update(tick) {
+        this.scrubber.value = tick;
+        this.tickElement.textContent = `${tick} / ${this.scrubber.max}`;
+    }
+}
@@ -1,164 +1,183 @@
 /**
- * Player character for the endless runner game
+ * Player character for the endless runner game (simulation state only, see PlayerRenderer)
  */
 class Player {
-    constructor(scene, textures) {
-        this.scene = scene;
-        this.textures = textures;
-        this.mesh = null;
-        this.collider = null;
+    /**
+     * @param {LaneLayout} lanes Lane layout shared with the obstacle spawner
+     */
+    constructor(lanes) {
+        this.lanes = lanes;
+        this.collider = new AABB();
+        this.events = null; // EventBus the player publishes jumps, landings, slides and lane changes to
         
         // Player state
         this.isJumping = false;
         this.isFalling = false;
+        this.isSliding = false;
+        this.jumpVelocity = 0;
         this.runningSpeed = 0.2;
-        this.jumpForce = 0.15;
-        this.gravity = 0.005;
+        this.jumpForce = 0.15; // Units per tick at 60Hz
+        this.gravity = 0.005; // Units per tick squared at 60Hz
         this.jumpHeight = 2;
-        this.lateralSpeed = 0.3;
-        this.maxLateralPosition = 3; // Maximum distance from center
+        this.lateralSpeed = 0.3; // Average sideways speed during a lane change, units per tick at 60Hz
+        
+        // Slide state
+        this.slideDuration = 0.6; // Seconds
+        this.slideTimer = 0;
+        this.slideOnLanding = false; // Slide pressed in mid-air
+        this.fastFallSpeed = 0.25; // Downward speed when sliding in mid-air, units per tick at 60Hz
+        
+        // Stumble state (after clipping the top of a log)
+        this.stumbleTimer = 0; // Seconds left
         
-        // Player position
-        this.position = {
+        // Damage state (lives mode)
+        this.invulnerableTimer = 0; // Seconds left in which hits are ignored
+        this.invulnerableDuration = 1.5;
+        this.knockbackOffset = 0; // Distance pushed back from the start position
+        this.knockbackDistance = 2;
+        this.knockbackRecovery = 0.05; // Units per tick at 60Hz
+        this.knockbackBounce = 0.08; // Upward speed of the hop, units per tick at 60Hz
+        
+        // Lane state
+        this.lane = lanes.centerLane; // Lane the player is in, or switching to
+        this.laneChange = null; // Active lane change tween
+        this.bufferedDirection = 0; // Lane change requested during a switch (-1, 0 or 1)
+        
+        // Starting position
+        this.startPosition = {
             x: 0,
             y: 0,
             z: 5 // Position player a bit forward so it's visible from the camera
         };
         
+        // Current position
+        this.position = { ...this.startPosition, x: lanes.getLaneX(this.lane) };
+        
+        // Body dimensions (arm span, height to top of head, head depth)
+        this.size = { x: 1.8, y: 2.8, z: 0.8 };
+        this.slideHeight = 1.4; // Body height while sliding
+        this.colliderScale = 0.8; // Slightly smaller than the body for better gameplay
+        
+        // Pose
+        this.tilt = 0; // Sideways lean when moving (radians around z)
+        this.maxTilt = 0.2;
+        
         // Animation properties
         this.legRotationSpeed = 0.1;
         this.maxLegRotation = Math.PI / 4;
         this.legRotationDirection = 1;
         this.currentLegRotation = 0;
         
-        // Player parts
-        this.body = null;
-        this.head = null;
-        this.leftLeg = null;
-        this.rightLeg = null;
-        this.leftArm = null;
-        this.rightArm = null;
-        
-        this.createPlayer();
+        this.updateCollider();
     }
     
     /**
-     * Create the player character
+     * Update the player's collider box
      */
-    createPlayer() {
-        // Create a group for the player
-        this.mesh = new THREE.Group();
-        
-        // Create materials
-        const bodyMaterial = new THREE.MeshPhongMaterial({ color: 0x3498db });
-        const headMaterial = new THREE.MeshPhongMaterial({ color: 0xecf0f1 });
-        const limbMaterial = new THREE.MeshPhongMaterial({ color: 0x2980b9 });
-        
-        // Create body parts
-        this.body = new THREE.Mesh(
-            new THREE.BoxGeometry(1, 1.5, 0.5),
-            bodyMaterial
-        );
-        this.body.position.y = 1.5;
-        
-        this.head = new THREE.Mesh(
-            new THREE.BoxGeometry(0.8, 0.8, 0.8),
-            headMaterial
-        );
-        this.head.position.y = 2.4;
-        
-        // Create legs
-        this.leftLeg = new THREE.Mesh(
-            new THREE.BoxGeometry(0.4, 1, 0.4),
-            limbMaterial
-        );
-        this.leftLeg.position.set(-0.3, 0.5, 0);
-        
-        this.rightLeg = new THREE.Mesh(
-            new THREE.BoxGeometry(0.4, 1, 0.4),
-            limbMaterial
-        );
-        this.rightLeg.position.set(0.3, 0.5, 0);
-        
-        // Create arms
-        this.leftArm = new THREE.Mesh(
-            new THREE.BoxGeometry(0.4, 1, 0.4),
-            limbMaterial
-        );
-        this.leftArm.position.set(-0.7, 1.5, 0);
+    updateCollider() {
+        // Sliding shrinks the collider so the player fits under barriers
+        const height = this.isSliding ? this.slideHeight : this.size.y;
         
-        this.rightArm = new THREE.Mesh(
-            new THREE.BoxGeometry(0.4, 1, 0.4),
-            limbMaterial
+        this.collider.setFromCenterAndSize(
+            {
+                x: this.position.x,
+                y: this.position.y + height / 2,
+                z: this.position.z
+            },
+            {
+                x: this.size.x * this.colliderScale,
+                y: height * this.colliderScale,
+                z: this.size.z * this.colliderScale
+            }
         );
-        this.rightArm.position.set(0.7, 1.5, 0);
-        
-        // Add all parts to the player mesh
-        this.mesh.add(this.body);
-        this.mesh.add(this.head);
-        this.mesh.add(this.leftLeg);
-        this.mesh.add(this.rightLeg);
-        this.mesh.add(this.leftArm);
-        this.mesh.add(this.rightArm);
-        
-        // Set initial position
-        this.mesh.position.set(this.position.x, this.position.y, this.position.z);
-        
-        // Add to scene
-        this.scene.add(this.mesh);
-        
-        // Create collider
-        this.updateCollider();
     }
     
     /**
-     * Update the player's collider box
+     * Apply a difficulty profile's movement tuning
+     * @param {Object} tuning Tuning {jumpForce, gravity, lateralSpeed}
      */
-    updateCollider() {
-        this.collider = new THREE.Box3().setFromObject(this.mesh);
-        
-        // Make the collider slightly smaller than the actual mesh for better gameplay
-        const size = new THREE.Vector3();
-        this.collider.getSize(size);
-        
-        const center = new THREE.Vector3();
-        this.collider.getCenter(center);
-        
-        this.collider = new THREE.Box3(
-            new THREE.Vector3(
-                center.x - size.x * 0.8 / 2,
-                center.y - size.y * 0.8 / 2,
-                center.z - size.z * 0.8 / 2
-            ),
-            new THREE.Vector3(
-                center.x + size.x * 0.8 / 2,
-                center.y + size.y * 0.8 / 2,
-                center.z + size.z * 0.8 / 2
-            )
-        );
+    setTuning(tuning) {
+        this.jumpForce = tuning.jumpForce;
+        this.gravity = tuning.gravity;
+        this.lateralSpeed = tuning.lateralSpeed;
     }
     
     /**
      * Make the player jump
      */
     jump() {
-        if (!this.isJumping && !this.isFalling) {
+        if (!this.isJumping && !this.isFalling && this.stumbleTimer <= 0) {
+            // Jumping ends a slide early
+            this.endSlide();
+            
             this.isJumping = true;
             this.jumpVelocity = this.jumpForce;
+            this.publish('jump', { lane: this.lane });
+        }
+    }
+    
+    /**
+     * Make the player slide, or fast-fall and then slide when in mid-air
+     */
+    slide() {
+        if (this.isJumping || this.isFalling) {
+            this.isJumping = false;
+            this.isFalling = true;
+            this.jumpVelocity = Math.min(this.jumpVelocity, -this.fastFallSpeed);
+            this.slideOnLanding = true;
+            return;
         }
+        
+        this.isSliding = true;
+        this.slideTimer = this.slideDuration;
+        this.updateCollider();
+        this.publish('slide', { lane: this.lane });
+    }
+    
+    /**
+     * Stumble for a while, unable to jump
+     * @param {number} duration Duration in seconds
+     */
+    stumble(duration) {
+        this.stumbleTimer = Math.max(this.stumbleTimer, duration);
+    }
+    
+    /**
+     * Take a hit that costs a life: get knocked back and become briefly invulnerable
+     */
+    takeDamage() {
+        this.endSlide();
+        this.isJumping = false;
+        this.isFalling = true;
+        this.jumpVelocity = this.knockbackBounce;
+        this.knockbackOffset = this.knockbackDistance;
+        this.invulnerableTimer = this.invulnerableDuration;
+    }
+    
+    /**
+     * Stand back up from a slide
+     */
+    endSlide() {
+        this.isSliding = false;
+        this.slideTimer = 0;
+        this.slideOnLanding = false;
     }
     
     /**
      * Update player animation and position
+     * @param {number} deltaTime Time since last update in seconds
      */
-    update() {
+    update(deltaTime) {
+        // Number of 60Hz ticks this update covers
+        const ticks = deltaTime * 60;
+        
         // Handle jumping and falling
         if (this.isJumping || this.isFalling) {
             // Apply gravity to jump velocity
-            this.jumpVelocity -= this.gravity;
+            this.jumpVelocity -= this.gravity * ticks;
             
             // Update position
-            this.mesh.position.y += this.jumpVelocity;
+            this.position.y += this.jumpVelocity * ticks;
             
             // Check if reached max height
             if (this.isJumping && this.jumpVelocity <= 0) {
@@ -167,91 +186,208 @@ class Player {
             }
             
             // Check if landed
-            if (this.isFalling && this.mesh.position.y <= this.position.y) {
-                this.mesh.position.y = this.position.y;
+            if (this.isFalling && this.position.y <= this.startPosition.y) {
+                this.position.y = this.startPosition.y;
                 this.isFalling = false;
+                this.publish('land', { lane: this.lane });
+                
+                if (this.slideOnLanding) {
+                    this.slideOnLanding = false;
+                    this.slide();
+                }
+            }
+        } else if (this.isSliding) {
+            // Hold the slide for its duration
+            this.slideTimer -= deltaTime;
+            if (this.slideTimer <= 0) {
+                this.endSlide();
             }
         } else {
             // Running animation - leg movement
-            this.animateRunning();
+            this.animateRunning(ticks);
         }
         
-        // Gradually return to center when not actively moving
-        this.returnToCenter();
+        // Slide towards the target lane
+        this.updateLaneChange(ticks);
+        
+        // Recover from a stumble
+        if (this.stumbleTimer > 0) {
+            this.stumbleTimer = Math.max(this.stumbleTimer - deltaTime, 0);
+        }
+        
+        // Recover from a hit
+        if (this.invulnerableTimer > 0) {
+            this.invulnerableTimer = Math.max(this.invulnerableTimer - deltaTime, 0);
+        }
+        if (this.knockbackOffset > 0) {
+            this.knockbackOffset = Math.max(this.knockbackOffset - this.knockbackRecovery * ticks, 0);
+        }
+        this.position.z = this.startPosition.z + this.knockbackOffset;
         
         // Update collider
         this.updateCollider();
     }
     
     /**
-     * Gradually return player to center and upright position
+     * Advance the active lane change tween
+     * @param {number} ticks Number of 60Hz ticks to advance
      */
-    returnToCenter() {
-        // Return rotation to neutral
-        if (this.mesh.rotation.z > 0.01) {
-            this.mesh.rotation.z -= 0.01;
-        } else if (this.mesh.rotation.z < -0.01) {
-            this.mesh.rotation.z += 0.01;
-        } else {
-            this.mesh.rotation.z = 0;
+    updateLaneChange(ticks) {
+        const change = this.laneChange;
+        if (!change) {
+            return;
+        }
+        
+        change.elapsed += ticks;
+        const progress = Math.min(change.elapsed / change.duration, 1);
+        const targetX = this.lanes.getLaneX(change.toLane);
+        
+        this.position.x = change.startX + (targetX - change.startX) * this.easeInOut(progress);
+        
+        // Lean into the switch and straighten up again at the end
+        this.tilt = -Math.sign(targetX - change.startX) * this.maxTilt * Math.sin(progress * Math.PI);
+        
+        if (progress >= 1) {
+            this.position.x = targetX;
+            this.tilt = 0;
+            this.laneChange = null;
+            
+            // Start the switch that was pressed while this one was running
+            if (this.bufferedDirection !== 0) {
+                const direction = this.bufferedDirection;
+                this.bufferedDirection = 0;
+                this.changeLane(direction);
+            }
         }
     }
     
+    /**
+     * Ease-in-out curve for lane changes
+     * @param {number} t Progress (0-1)
+     * @returns {number} Eased progress (0-1)
+     */
+    easeInOut(t) {
+        return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    }
+    
+    /**
+     * Start switching lanes, buffer the request, or cancel back into the previous lane
+     * @param {number} direction -1 for left, 1 for right
+     */
+    changeLane(direction) {
+        const change = this.laneChange;
+        
+        if (change) {
+            const switchDirection = Math.sign(change.toLane - change.fromLane);
+            
+            if (direction !== switchDirection) {
+                // Cancel back into the lane we came from
+                this.startLaneChange(change.toLane, change.fromLane);
+                this.bufferedDirection = 0;
+            } else {
+                // Remember the press and apply it when this switch ends
+                this.bufferedDirection = direction;
+            }
+            return;
+        }
+        
+        const targetLane = this.lane + direction;
+        if (this.lanes.isValidLane(targetLane)) {
+            this.startLaneChange(this.lane, targetLane);
+        }
+    }
+    
+    /**
+     * Begin a lane change tween from the current position
+     * @param {number} fromLane Lane being left
+     * @param {number} toLane Lane to move into
+     */
+    startLaneChange(fromLane, toLane) {
+        const distance = Math.abs(this.lanes.getLaneX(toLane) - this.position.x);
+        
+        this.lane = toLane;
+        this.laneChange = {
+            fromLane: fromLane,
+            toLane: toLane,
+            startX: this.position.x,
+            elapsed: 0,
+            duration: Math.max(distance / this.lateralSpeed, 1) // Ticks
+        };
+        this.publish('laneChange', { fromLane: fromLane, toLane: toLane });
+    }
+    
     /**
      * Animate the running motion
+     * @param {number} ticks Number of 60Hz ticks to advance
      */
-    animateRunning() {
+    animateRunning(ticks) {
         // Update leg rotation
-        this.currentLegRotation += this.legRotationSpeed * this.legRotationDirection;
+        this.currentLegRotation += this.legRotationSpeed * this.legRotationDirection * ticks;
         
         // Reverse direction if reached max rotation
         if (Math.abs(this.currentLegRotation) >= this.maxLegRotation) {
             this.legRotationDirection *= -1;
         }
-        
-        // Apply rotation to legs
-        this.leftLeg.rotation.x = this.currentLegRotation;
-        this.rightLeg.rotation.x = -this.currentLegRotation;
-        
-        // Also animate arms opposite to legs
-        this.leftArm.rotation.x = -this.currentLegRotation * 0.5;
-        this.rightArm.rotation.x = this.currentLegRotation * 0.5;
     }
     
     /**
-     * Move player to the left
+     * Move player one lane to the left
      */
     moveLeft() {
-        // Only move if not at the left edge
-        if (this.mesh.position.x > -this.maxLateralPosition) {
-            this.mesh.position.x -= this.lateralSpeed;
-            // Tilt the player slightly when moving
-            this.mesh.rotation.z = Math.min(this.mesh.rotation.z + 0.05, 0.2);
-            this.updateCollider();
-        }
+        this.changeLane(-1);
     }
     
     /**
-     * Move player to the right
+     * Move player one lane to the right
      */
     moveRight() {
-        // Only move if not at the right edge
-        if (this.mesh.position.x < this.maxLateralPosition) {
-            this.mesh.position.x += this.lateralSpeed;
-            // Tilt the player slightly when moving
-            this.mesh.rotation.z = Math.max(this.mesh.rotation.z - 0.05, -0.2);
-            this.updateCollider();
+        this.changeLane(1);
+    }
+    
+    /**
+     * Create an independent copy of the player, e.g. to explore possible moves
+     * @returns {Player} Copy with the same state and tuning
+     */
+    clone() {
+        const copy = Object.assign(new Player(this.lanes), this);
+        copy.position = { ...this.position };
+        copy.startPosition = { ...this.startPosition };
+        copy.laneChange = this.laneChange ? { ...this.laneChange } : null;
+        copy.collider = this.collider.clone();
+        copy.events = null; // Explored moves are not real ones
+        return copy;
+    }
+    
+    /**
+     * Publish an event if the player is connected to an event bus
+     * @param {string} type Event type
+     * @param {Object} payload Event details
+     */
+    publish(type, payload) {
+        if (this.events) {
+            this.events.emit(type, payload);
         }
     }
     
     /**
      * Reset player to initial state
+     * @param {number} lane Lane to start in (defaults to the center lane)
      */
-    reset() {
+    reset(lane = this.lanes.centerLane) {
         this.isJumping = false;
         this.isFalling = false;
-        this.mesh.position.set(this.position.x, this.position.y, this.position.z);
-        this.mesh.rotation.z = 0; // Reset rotation
+        this.jumpVelocity = 0;
+        this.endSlide();
+        this.stumbleTimer = 0;
+        this.invulnerableTimer = 0;
+        this.knockbackOffset = 0;
+        this.lane = lane;
+        this.laneChange = null;
+        this.bufferedDirection = 0;
+        this.position = { ...this.startPosition, x: this.lanes.getLaneX(this.lane) };
+        this.tilt = 0; // Reset rotation
+        this.currentLegRotation = 0;
+        this.legRotationDirection = 1;
         this.updateCollider();
     }
 }
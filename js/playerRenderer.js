@@ -0,0 +1,180 @@
+/**
+ * Mirrors the simulated Player into the THREE scene
+ */
+class PlayerRenderer {
+    constructor(scene, textures, player, powerUps = null) {
+        this.scene = scene;
+        this.textures = textures;
+        this.player = player;
+        this.powerUps = powerUps;
+        this.mesh = null;
+        this.aura = null; // Glow shown while a power-up is active
+        
+        // Player parts
+        this.body = null;
+        this.head = null;
+        this.leftLeg = null;
+        this.rightLeg = null;
+        this.leftArm = null;
+        this.rightArm = null;
+        
+        // Slide animation (0 = running pose, 1 = full slide pose)
+        this.slideBlend = 0;
+        this.slideBlendSpeed = 0.2; // Per tick
+        
+        // Part offsets in the slide pose: lean back with legs out in front
+        this.slidePose = {
+            body: { y: 0.6, z: 0.3, rotationX: 1.0 },
+            head: { y: 0.75, z: 1.0, rotationX: 0.6 },
+            leftLeg: { y: 0.3, z: -0.5, rotationX: -Math.PI / 2 },
+            rightLeg: { y: 0.3, z: -0.5, rotationX: -Math.PI / 2 },
+            leftArm: { y: 0.7, z: 0.5, rotationX: 1.3 },
+            rightArm: { y: 0.7, z: 0.5, rotationX: 1.3 }
+        };
+        this.runPose = {};
+        
+        this.createPlayer();
+    }
+    
+    /**
+     * Create the player character
+     */
+    createPlayer() {
+        // Create a group for the player
+        this.mesh = new THREE.Group();
+        
+        // Create materials
+        const bodyMaterial = new THREE.MeshPhongMaterial({ color: 0x3498db });
+        const headMaterial = new THREE.MeshPhongMaterial({ color: 0xecf0f1 });
+        const limbMaterial = new THREE.MeshPhongMaterial({ color: 0x2980b9 });
+        
+        // Create body parts
+        this.body = new THREE.Mesh(
+            new THREE.BoxGeometry(1, 1.5, 0.5),
+            bodyMaterial
+        );
+        this.body.position.y = 1.5;
+        
+        this.head = new THREE.Mesh(
+            new THREE.BoxGeometry(0.8, 0.8, 0.8),
+            headMaterial
+        );
+        this.head.position.y = 2.4;
+        
+        // Create legs
+        this.leftLeg = new THREE.Mesh(
+            new THREE.BoxGeometry(0.4, 1, 0.4),
+            limbMaterial
+        );
+        this.leftLeg.position.set(-0.3, 0.5, 0);
+        
+        this.rightLeg = new THREE.Mesh(
+            new THREE.BoxGeometry(0.4, 1, 0.4),
+            limbMaterial
+        );
+        this.rightLeg.position.set(0.3, 0.5, 0);
+        
+        // Create arms
+        this.leftArm = new THREE.Mesh(
+            new THREE.BoxGeometry(0.4, 1, 0.4),
+            limbMaterial
+        );
+        this.leftArm.position.set(-0.7, 1.5, 0);
+        
+        this.rightArm = new THREE.Mesh(
+            new THREE.BoxGeometry(0.4, 1, 0.4),
+            limbMaterial
+        );
+        this.rightArm.position.set(0.7, 1.5, 0);
+        
+        // Add all parts to the player mesh
+        this.mesh.add(this.body);
+        this.mesh.add(this.head);
+        this.mesh.add(this.leftLeg);
+        this.mesh.add(this.rightLeg);
+        this.mesh.add(this.leftArm);
+        this.mesh.add(this.rightArm);
+        
+        // Power-up aura around the whole body
+        this.aura = new THREE.Mesh(
+            new THREE.SphereGeometry(1.7, 16, 12),
+            new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.25, depthWrite: false })
+        );
+        this.aura.position.y = 1.4;
+        this.aura.visible = false;
+        this.mesh.add(this.aura);
+        
+        // Remember the running pose to blend back to after a slide
+        for (const part of Object.keys(this.slidePose)) {
+            this.runPose[part] = { y: this[part].position.y, z: this[part].position.z };
+        }
+        
+        // The body casts a shadow when shadows are on (the aura does not)
+        this.mesh.traverse(part => part.castShadow = part.isMesh && part !== this.aura);
+        
+        // Add to scene
+        this.scene.add(this.mesh);
+        
+        this.sync();
+    }
+    
+    /**
+     * Copy the simulated position and pose onto the mesh
+     */
+    sync() {
+        const player = this.player;
+        
+        this.mesh.position.set(player.position.x, player.position.y, player.position.z);
+        this.mesh.rotation.z = player.tilt;
+        
+        // Pitch forward while stumbling
+        this.mesh.rotation.x = player.stumbleTimer > 0 ? -0.35 : 0;
+        
+        // Blink while invulnerable after a hit
+        this.mesh.visible = player.invulnerableTimer <= 0 || Math.floor(player.invulnerableTimer * 10) % 2 === 0;
+        
+        // Legs swing with the run cycle, arms swing opposite to legs
+        const runRotations = {
+            body: 0,
+            head: 0,
+            leftLeg: player.currentLegRotation,
+            rightLeg: -player.currentLegRotation,
+            leftArm: -player.currentLegRotation * 0.5,
+            rightArm: player.currentLegRotation * 0.5
+        };
+        
+        // Ease into and out of the slide pose
+        const target = player.isSliding ? 1 : 0;
+        if (this.slideBlend < target) {
+            this.slideBlend = Math.min(this.slideBlend + this.slideBlendSpeed, target);
+        } else if (this.slideBlend > target) {
+            this.slideBlend = Math.max(this.slideBlend - this.slideBlendSpeed, target);
+        }
+        
+        for (const part of Object.keys(this.slidePose)) {
+            const mesh = this[part];
+            const run = this.runPose[part];
+            const slide = this.slidePose[part];
+            
+            mesh.position.y = run.y + (slide.y - run.y) * this.slideBlend;
+            mesh.position.z = run.z + (slide.z - run.z) * this.slideBlend;
+            mesh.rotation.x = runRotations[part] + (slide.rotationX - runRotations[part]) * this.slideBlend;
+        }
+        
+        this.updateAura();
+    }
+    
+    /**
+     * Show the aura in the color of the first active power-up, flickering when it runs out
+     */
+    updateAura() {
+        const type = this.powerUps ? this.powerUps.types.find(type => this.powerUps.isActive(type)) : null;
+        this.aura.visible = !!type;
+        
+        if (type) {
+            const remaining = this.powerUps.effects[type].remaining;
+            this.aura.material.color.setHex(PowerUpRenderer.colors[type]);
+            this.aura.material.opacity = remaining < 2 && Math.floor(remaining * 8) % 2 === 0 ? 0.08 : 0.25;
+        }
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Plugin hooks for the endless runner game, so mods, analytics and experimental
+ * features can ship as separate scripts without editing the core classes.
+ *
+ * A plugin is an object with a unique name and any of these hooks:
+ * - init(api): called once when the plugin is added
+ * - update(deltaTime, api): called after every simulation step
+ * - dispose(api): called when the plugin is removed or the page is left
+ * The api is {game, events, on(type, listener)}. Listeners added with api.on
+ * are removed with the plugin (see EventBus.types for the events).
+ */
+class PluginManager {
+    /**
+     * @param {Game} game Game the plugins hook into
+     */
+    constructor(game) {
+        this.game = game;
+        this.entries = []; // Added plugins as {plugin, api, unsubscribers}
+    }
+
+    /**
+     * Register a plugin with the game created by main.js. Plugin scripts call
+     * this and load after the game scripts but before main.js.
+     * @param {Object} plugin Plugin {name, init, update, dispose}
+     */
+    static register(plugin) {
+        PluginManager.validate(plugin);
+        if (PluginManager.registered.some(registered => registered.name === plugin.name)) {
+            throw new Error(`Plugin already registered: ${plugin.name}`);
+        }
+
+        PluginManager.registered.push(plugin);
+    }
+
+    /**
+     * Check that a plugin has a name and that its hooks are functions
+     * @param {Object} plugin Plugin to check
+     */
+    static validate(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || plugin.name === '') {
+            throw new Error('Plugins need a name');
+        }
+
+        for (const hook of ['init', 'update', 'dispose']) {
+            if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+                throw new Error(`Plugin ${plugin.name}: ${hook} must be a function`);
+            }
+        }
+    }
+
+    /**
+     * Add every plugin registered so far
+     */
+    addRegistered() {
+        PluginManager.registered.forEach(plugin => this.add(plugin));
+    }
+
+    /**
+     * Add a plugin and run its init hook. A plugin whose init fails is left out.
+     * @param {Object} plugin Plugin {name, init, update, dispose}
+     * @returns {boolean} Whether the plugin was added
+     */
+    add(plugin) {
+        PluginManager.validate(plugin);
+        if (this.get(plugin.name)) {
+            throw new Error(`Plugin already added: ${plugin.name}`);
+        }
+
+        const entry = { plugin: plugin, unsubscribers: [] };
+        entry.api = {
+            game: this.game,
+            events: this.game.events,
+            on: (type, listener) => {
+                const unsubscribe = this.game.events.on(type, listener);
+                entry.unsubscribers.push(unsubscribe);
+                return unsubscribe;
+            }
+        };
+
+        if (!this.runHook(entry, 'init', entry.api)) {
+            entry.unsubscribers.forEach(unsubscribe => unsubscribe());
+            return false;
+        }
+
+        this.entries.push(entry);
+        return true;
+    }
+
+    /**
+     * Get an added plugin
+     * @param {string} name Plugin name
+     * @returns {Object|null} Plugin, or null if none has the name
+     */
+    get(name) {
+        const entry = this.entries.find(entry => entry.plugin.name === name);
+        return entry ? entry.plugin : null;
+    }
+
+    /**
+     * Remove a plugin: run its dispose hook and remove its listeners
+     * @param {string} name Plugin name
+     */
+    remove(name) {
+        const entry = this.entries.find(entry => entry.plugin.name === name);
+        if (!entry) {
+            return;
+        }
+
+        this.entries = this.entries.filter(existing => existing !== entry);
+        this.runHook(entry, 'dispose', entry.api);
+        entry.unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Remove every plugin
+     */
+    removeAll() {
+        this.entries.map(entry => entry.plugin.name).forEach(name => this.remove(name));
+    }
+
+    /**
+     * Run every plugin's update hook. A plugin whose update fails is removed,
+     * rather than failing again on every step.
+     * @param {number} deltaTime Fixed step duration in seconds
+     */
+    update(deltaTime) {
+        for (const entry of this.entries) {
+            if (!this.runHook(entry, 'update', deltaTime, entry.api)) {
+                this.remove(entry.plugin.name);
+            }
+        }
+    }
+
+    /**
+     * Run one of a plugin's hooks, logging instead of throwing if it fails
+     * @param {Object} entry Plugin entry
+     * @param {string} hook Hook name
+     * @param {...*} args Hook arguments
+     * @returns {boolean} False if the hook threw
+     */
+    runHook(entry, hook, ...args) {
+        if (!entry.plugin[hook]) {
+            return true;
+        }
+
+        try {
+            entry.plugin[hook](...args);
+            return true;
+        } catch (error) {
+            console.error(`Plugin ${entry.plugin.name} failed in ${hook}:`, error);
+            return false;
+        }
+    }
+}
+
+// Plugins registered before the game exists (see PluginManager.register)
+PluginManager.registered = [];
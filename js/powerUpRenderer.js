@@ -0,0 +1,77 @@
+/**
+ * Mirrors the simulated power-up pickups into the THREE scene
+ */
+class PowerUpRenderer {
+    constructor(scene, powerUpManager) {
+        this.scene = scene;
+        this.powerUpManager = powerUpManager;
+        
+        // Pickups of a type share a material
+        this.geometry = new THREE.OctahedronGeometry(0.5);
+        this.materials = {};
+        for (const [type, color] of Object.entries(PowerUpRenderer.colors)) {
+            this.materials[type] = new THREE.MeshPhongMaterial({
+                color: color,
+                emissive: color,
+                emissiveIntensity: 0.4,
+                transparent: true,
+                opacity: 0.9
+            });
+        }
+        
+        // Meshes stay attached to their (pooled) pickup objects
+        this.meshes = new Map();
+        this.visibleMeshes = [];
+    }
+    
+    /**
+     * Get the color of each power-up, also used for the player's aura
+     * @returns {Object} Map of power-up type to color
+     */
+    static get colors() {
+        return {
+            shield: 0x5dade2,
+            magnet: 0xe74c3c,
+            multiplier: 0xf4d03f,
+            slowMotion: 0xaf7ac5
+        };
+    }
+    
+    /**
+     * Get the mesh for a pickup, creating it on first use
+     * @param {Object} pickup Simulated pickup
+     * @returns {THREE.Mesh} Pickup mesh
+     */
+    getMesh(pickup) {
+        let mesh = this.meshes.get(pickup);
+        
+        if (!mesh) {
+            mesh = new THREE.Mesh(this.geometry, this.materials[pickup.type]);
+            mesh.visible = false;
+            this.scene.add(mesh);
+            this.meshes.set(pickup, mesh);
+        }
+        
+        return mesh;
+    }
+    
+    /**
+     * Copy the simulated pickups onto their meshes
+     */
+    sync() {
+        // Hide meshes of pickups that were collected or passed
+        for (const mesh of this.visibleMeshes) {
+            mesh.visible = false;
+        }
+        
+        this.visibleMeshes = this.powerUpManager.activePickups.map(pickup => {
+            const mesh = this.getMesh(pickup);
+            
+            mesh.position.set(pickup.position.x, pickup.position.y, pickup.position.z);
+            mesh.rotation.y = pickup.rotation;
+            mesh.visible = true;
+            
+            return mesh;
+        });
+    }
+}
@@ -0,0 +1,257 @@
+/**
+ * Power-up pickups and their timed effects for the endless runner game
+ * (simulation state only, see PowerUpRenderer)
+ */
+class PowerUpManager {
+    /**
+     * @param {RandomGenerator} random Gameplay random generator
+     * @param {LaneLayout} lanes Lane layout shared with the player
+     * @param {ObstacleManager} obstacles Obstacle manager (pickups move with the track)
+     */
+    constructor(random, lanes, obstacles) {
+        this.random = random;
+        this.lanes = lanes;
+        this.obstacles = obstacles;
+        this.activePickups = [];
+        this.pickupPool = [];
+        this.types = ['shield', 'magnet', 'multiplier', 'slowMotion'];
+
+        // Per-type effects:
+        // - duration: seconds the effect lasts
+        // - stacking: what picking it up again does while it is active
+        //   - refresh: restart the timer
+        //   - extend: add the duration, up to maxDuration
+        //   - stack: add a stack (up to maxStacks) and restart the timer
+        this.definitions = {
+            shield: { label: 'Shield', duration: 15, stacking: 'refresh' }, // Absorbs one fatal hit
+            magnet: { label: 'Magnet', duration: 8, stacking: 'extend', maxDuration: 20 }, // Pulls coins in
+            multiplier: { label: 'Score', duration: 10, stacking: 'stack', maxStacks: 3 }, // x2, x3, x4 score
+            slowMotion: { label: 'Slow-mo', duration: 5, stacking: 'refresh', timeScale: 0.6 } // Slows the world
+        };
+
+        // Active effects by type {remaining, stacks}
+        this.effects = {};
+
+        // Pickup shape
+        this.size = { x: 1, y: 1, z: 1 };
+        this.height = 1.2; // Center height above the ground
+        this.spinSpeed = 0.05; // Radians per tick at 60Hz
+
+        // Pickups appear behind some formations
+        this.spawnChance = 0.15;
+        this.spawnGap = 6; // Distance behind the formation's last row
+    }
+
+    /**
+     * Create a new pickup
+     * @param {string} type Power-up type
+     * @returns {Object} Pickup object
+     */
+    createPickup(type) {
+        return {
+            type: type,
+            position: { x: 0, y: 0, z: 0 },
+            collider: new AABB(),
+            active: false,
+            lane: 0,
+            rotation: 0
+        };
+    }
+
+    /**
+     * Maybe place a pickup behind a formation that was just spawned
+     * @param {Object} plan Plan from ObstacleManager.planFormation
+     */
+    spawnForPlan(plan) {
+        if (plan.obstacles.length === 0 || this.random.next() >= this.spawnChance) {
+            return;
+        }
+
+        const type = this.random.pick(this.types);
+        const lane = this.random.int(this.lanes.count);
+        const distance = Math.max(...plan.obstacles.map(entry => entry.distance)) + this.spawnGap;
+        this.spawnPickup(type, lane, distance);
+    }
+
+    /**
+     * Spawn a pickup
+     * @param {string} type Power-up type
+     * @param {number} lane Lane index
+     * @param {number} distance Distance in front of the origin
+     */
+    spawnPickup(type, lane, distance) {
+        let pickup;
+
+        // Get pickup of that type from pool or create new one
+        const poolIndex = this.pickupPool.findIndex(pooled => pooled.type === type);
+        if (poolIndex !== -1) {
+            pickup = this.pickupPool.splice(poolIndex, 1)[0];
+        } else {
+            pickup = this.createPickup(type);
+        }
+
+        pickup.lane = lane;
+        pickup.position.x = this.lanes.getLaneX(lane);
+        pickup.position.y = this.height;
+        pickup.position.z = -distance;
+        pickup.rotation = 0;
+        pickup.active = true;
+
+        this.updatePickupCollider(pickup);
+        this.activePickups.push(pickup);
+    }
+
+    /**
+     * Update pickup collider
+     * @param {Object} pickup Pickup to update
+     */
+    updatePickupCollider(pickup) {
+        pickup.collider.setFromCenterAndSize(pickup.position, this.size);
+    }
+
+    /**
+     * Return a pickup to the pool
+     * @param {number} index Index in activePickups
+     */
+    removePickup(index) {
+        const pickup = this.activePickups[index];
+        pickup.active = false;
+        this.activePickups.splice(index, 1);
+        this.pickupPool.push(pickup);
+    }
+
+    /**
+     * Collect every pickup touching the player and start its effect
+     * @param {Player} player The player
+     * @returns {string[]} Types collected
+     */
+    collect(player) {
+        const collected = [];
+
+        for (let i = this.activePickups.length - 1; i >= 0; i--) {
+            const pickup = this.activePickups[i];
+            if (pickup.collider.intersects(player.collider)) {
+                this.activate(pickup.type);
+                collected.push(pickup.type);
+                this.removePickup(i);
+            }
+        }
+
+        return collected;
+    }
+
+    /**
+     * Start an effect, or apply its stacking rule if it is already active
+     * @param {string} type Power-up type
+     */
+    activate(type) {
+        const definition = this.definitions[type];
+        const effect = this.effects[type];
+
+        if (!effect) {
+            this.effects[type] = { remaining: definition.duration, stacks: 1 };
+            return;
+        }
+
+        switch (definition.stacking) {
+            case 'extend':
+                effect.remaining = Math.min(effect.remaining + definition.duration, definition.maxDuration);
+                break;
+            case 'stack':
+                effect.stacks = Math.min(effect.stacks + 1, definition.maxStacks);
+                effect.remaining = definition.duration;
+                break;
+            default:
+                effect.remaining = definition.duration;
+        }
+    }
+
+    /**
+     * Check whether an effect is active
+     * @param {string} type Power-up type
+     * @returns {boolean} True while the effect lasts
+     */
+    isActive(type) {
+        return !!this.effects[type];
+    }
+
+    /**
+     * Get how long an effect still lasts
+     * @param {string} type Power-up type
+     * @returns {number} Seconds left (0 if inactive)
+     */
+    getRemaining(type) {
+        return this.effects[type] ? this.effects[type].remaining : 0;
+    }
+
+    /**
+     * Use up the shield to absorb a hit
+     * @returns {boolean} True if a shield was active
+     */
+    consumeShield() {
+        if (!this.effects.shield) {
+            return false;
+        }
+
+        delete this.effects.shield;
+        return true;
+    }
+
+    /**
+     * Get the current score multiplier
+     * @returns {number} Multiplier (1 without the effect)
+     */
+    getScoreMultiplier() {
+        const effect = this.effects.multiplier;
+        return effect ? 1 + effect.stacks : 1;
+    }
+
+    /**
+     * Get the current world time scale
+     * @returns {number} Time scale (1 without slow-motion)
+     */
+    getTimeScale() {
+        return this.effects.slowMotion ? this.definitions.slowMotion.timeScale : 1;
+    }
+
+    /**
+     * Update effect timers and pickups
+     * @param {number} deltaTime Time since last update in seconds
+     */
+    update(deltaTime) {
+        // Number of 60Hz ticks this update covers
+        const ticks = deltaTime * 60;
+
+        // Count down active effects
+        for (const type of Object.keys(this.effects)) {
+            this.effects[type].remaining -= deltaTime;
+            if (this.effects[type].remaining <= 0) {
+                delete this.effects[type];
+            }
+        }
+
+        for (let i = this.activePickups.length - 1; i >= 0; i--) {
+            const pickup = this.activePickups[i];
+
+            // Move with the track and spin in place
+            pickup.position.z += this.obstacles.speed * ticks;
+            pickup.rotation += this.spinSpeed * ticks;
+            this.updatePickupCollider(pickup);
+
+            // Remove if passed player
+            if (pickup.position.z > 10) {
+                this.removePickup(i);
+            }
+        }
+    }
+
+    /**
+     * Reset all pickups and effects
+     */
+    reset() {
+        for (let i = this.activePickups.length - 1; i >= 0; i--) {
+            this.removePickup(i);
+        }
+        this.effects = {};
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Seedable pseudo-random number generator for the endless runner game
+ */
+class RandomGenerator {
+    constructor(seed) {
+        this.seed = null;
+        this.state = 0;
+        this.setSeed(seed);
+    }
+
+    /**
+     * Create a fresh seed for an unseeded run
+     * @returns {string} New seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString();
+    }
+
+    /**
+     * Get the daily challenge seed for a date
+     * @param {Date} date Date of the challenge (defaults to today)
+     * @returns {string} Seed shared by everyone playing on that day (UTC)
+     */
+    static getDailySeed(date = new Date()) {
+        return `daily-${date.toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * Convert a seed into a 32-bit generator state
+     * @param {number|string} seed Seed value
+     * @returns {number} Unsigned 32-bit integer
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+
+        // Plain integers are used as-is so seeds stay easy to share
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for any other string
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Restart the sequence from a new seed
+     * @param {number|string} seed Seed value
+     */
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = RandomGenerator.hashSeed(this.seed);
+    }
+
+    /**
+     * Restart the sequence from the current seed
+     */
+    reset() {
+        this.setSeed(this.seed);
+    }
+
+    /**
+     * Create an independent generator derived from this seed
+     * @param {string} name Stream name
+     * @returns {RandomGenerator} Derived generator
+     */
+    createStream(name) {
+        return new RandomGenerator(`${this.seed}:${name}`);
+    }
+
+    /**
+     * Get the next random number (mulberry32)
+     * @returns {number} Number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random number in a range
+     * @param {number} min Minimum value (inclusive)
+     * @param {number} max Maximum value (exclusive)
+     * @returns {number} Random number
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Get a random integer
+     * @param {number} max Upper bound (exclusive)
+     * @returns {number} Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} items Items to pick from
+     * @returns {*} Random item
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+
+    /**
+     * Pick a random element of an array, each with a chance proportional to its weight
+     * @param {Array} items Items to pick from
+     * @param {Function} getWeight Returns the (non-negative) weight of an item
+     * @returns {*} Random item
+     */
+    pickWeighted(items, getWeight) {
+        const totalWeight = items.reduce((sum, item) => sum + getWeight(item), 0);
+
+        let roll = this.next() * totalWeight;
+        for (const item of items) {
+            roll -= getWeight(item);
+            if (roll < 0) {
+                return item;
+            }
+        }
+
+        return items[items.length - 1];
+    }
+
+    /**
+     * Get a random sign
+     * @returns {number} -1 or 1
+     */
+    sign() {
+        return this.next() > 0.5 ? 1 : -1;
+    }
+}
@@ -0,0 +1,580 @@
+/**
+ * Reachability validation for obstacle spawns.
+ * Explores every way the player could move (jump, slide, lane changes) against the
+ * upcoming obstacles and reports whether at least one path survives them all.
+ * Each explored path keeps its own score, as coins and near misses speed the obstacles up.
+ */
+class ReachabilityValidator {
+    /**
+     * @param {Player} player The real player (copied, never modified)
+     * @param {ObstacleManager} obstacles Obstacle manager
+     * @param {CollisionDetector} collisionDetector Used to work out hit sides and near misses
+     * @param {CollisionResponder} collisionResponder Used to tell fatal hits from harmless ones
+     * @param {ScoreManager} scoreManager Score the obstacle speed follows
+     * @param {CoinManager} coins Coins on the track
+     * @param {PowerUpManager} powerUps Active power-ups (score multiplier and magnet)
+     */
+    constructor(player, obstacles, collisionDetector, collisionResponder, scoreManager, coins, powerUps) {
+        this.player = player;
+        this.obstacles = obstacles;
+        this.collisionDetector = collisionDetector;
+        this.collisionResponder = collisionResponder;
+        this.scoreManager = scoreManager;
+        this.coins = coins;
+        this.powerUps = powerUps;
+
+        // Search settings
+        this.decisionInterval = 8; // Ticks between simulated inputs (about human reaction granularity)
+        this.maxStates = 60; // Bound on the search width
+        this.maxAttempts = 5; // Formations to try before repairing one
+        this.actions = [null, 'jump', 'left', 'right', 'slide'];
+        this.tick = 0; // Last simulation tick, so every search puts its decision points on the same ticks
+
+        this.resetReport();
+    }
+
+    /**
+     * Clear the spawn report
+     */
+    resetReport() {
+        this.report = {
+            spawns: 0, // Formations spawned
+            checks: 0, // Searches run
+            rejected: 0, // Candidate formations that left no path
+            repaired: 0, // Formations spawned with obstacles removed
+            playerDoomed: 0, // Spawns where the obstacles already on the track could not be avoided
+            maxExploredStates: 0 // Widest search seen
+        };
+    }
+
+    /**
+     * Get a copy of the spawn report
+     * @returns {Object} Report counters
+     */
+    getReport() {
+        return { ...this.report };
+    }
+
+    /**
+     * Choose a spawn plan that leaves the player a way through
+     * @param {Function} createPlan Returns a random plan {formation, obstacles: [{type, lane, distance}]}
+     * @returns {Object} Solvable plan (possibly with obstacles removed)
+     */
+    choosePlan(createPlan) {
+        this.report.spawns++;
+
+        let plan = null;
+        for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+            plan = createPlan();
+            if (this.check(plan.obstacles).solvable) {
+                return plan;
+            }
+            this.report.rejected++;
+        }
+
+        // Repair the last candidate by dropping obstacles from the back until a path exists
+        const obstacles = plan.obstacles.slice();
+        while (obstacles.length > 0) {
+            obstacles.pop();
+            if (this.check(obstacles).solvable) {
+                this.report.repaired++;
+                return { ...plan, obstacles };
+            }
+        }
+
+        // Even an empty spawn fails: the obstacles already on the track can't be avoided
+        this.report.playerDoomed++;
+        return { ...plan, obstacles: [] };
+    }
+
+    /**
+     * Choose an input for the next tick that keeps a way through the obstacles on the track
+     * (an idealized player that follows the search, e.g. to check that seeded runs are passable).
+     * Only useful on decision points, where the search also changes input.
+     * @returns {Object} {safe, action}: the action name, or null to do nothing; when no input
+     *                   survives, safe is false and the action is null
+     */
+    findSafeAction() {
+        for (const action of this.actions) {
+            const start = this.player.clone();
+            this.applyAction(start, action);
+            if (this.check([], start).solvable) {
+                return { safe: true, action };
+            }
+        }
+        return { safe: false, action: null };
+    }
+
+    /**
+     * Check whether the player can survive the active obstacles plus planned ones
+     * @param {Object[]} planned Planned obstacles [{type, lane, distance}]
+     * @param {Player|null} start Player copy with its input for the next tick already applied (the real player if null)
+     * @returns {Object} Result {solvable, horizon, exploredStates}
+     */
+    check(planned = [], start = null) {
+        this.report.checks++;
+
+        const deltaTime = 1 / 60;
+        const obstacles = this.collectObstacles(planned);
+        const clusters = this.groupWindows(obstacles);
+        const settleTicks = this.getSettleTicks();
+        const leadTicks = this.getLeadTicks();
+        const horizon = clusters.length > 0 ? clusters[clusters.length - 1].end + 1 : 0;
+        const travel = clusters.length > 0 ? clusters[0].obstacles[0].window.travel : [];
+        const scoring = this.predictScoring(horizon);
+        const coins = this.collectCoins();
+
+        let states = [this.createState(start || this.player.clone())];
+        let exploredStates = 0;
+        let tick = 0;
+        let reach = 0; // Furthest any state's obstacles have moved ahead of the prediction
+
+        for (const cluster of clusters) {
+            // With enough free track before the obstacles arrive the player can get anywhere,
+            // so only search from a resting start in every lane shortly before them.
+            // Those starts keep the highest score so far, as faster obstacles are the harder case.
+            if (cluster.start - leadTicks - settleTicks >= tick) {
+                const best = states.reduce((a, b) => (b.bonus > a.bonus ? b : a));
+                for (; tick < cluster.start - leadTicks; tick++) {
+                    this.advanceTrack(best, tick, travel, scoring);
+                }
+                states = this.createRestStates(best);
+            }
+
+            for (; tick <= cluster.end; tick++) {
+                // Branch on every input at decision points
+                if (this.isDecisionPoint(tick) && (tick > 0 || !start)) {
+                    states = this.expand(states);
+                }
+
+                // Place the obstacles and coins where the predicted speed takes them on this tick
+                // (each state is then shifted by how much further its own obstacles have moved)
+                for (const obstacle of cluster.obstacles) {
+                    obstacle.position.z = obstacle.window.startZ + travel[tick];
+                    this.obstacles.updateObstacleCollider(obstacle);
+                }
+                const nearbyCoins = this.placeCoins(coins, travel[tick], reach + (scoring.magnet[tick] ? this.coins.magnetRadius : 0));
+
+                // Advance every state and keep the survivors
+                exploredStates += states.length;
+                states = states.filter(state => {
+                    const offset = this.advanceTrack(state, tick, travel, scoring);
+                    reach = Math.max(reach, offset);
+
+                    state.player.update(deltaTime);
+                    state.player.position.z -= offset;
+                    state.player.updateCollider();
+
+                    if (this.hitsFatally(state, cluster.obstacles)) {
+                        return false;
+                    }
+                    this.collectBonuses(state, tick, cluster.obstacles, nearbyCoins, scoring);
+                    return true;
+                });
+
+                if (states.length === 0) {
+                    this.report.maxExploredStates = Math.max(this.report.maxExploredStates, exploredStates);
+                    return { solvable: false, horizon, exploredStates };
+                }
+            }
+        }
+
+        this.report.maxExploredStates = Math.max(this.report.maxExploredStates, exploredStates);
+        return { solvable: true, horizon, exploredStates };
+    }
+
+    /**
+     * Check whether the player may change input on a tick
+     * @param {number} tick Search tick (0 is the next simulation tick)
+     * @returns {boolean} True on decision points
+     */
+    isDecisionPoint(tick) {
+        return (this.tick + 1 + tick) % this.decisionInterval === 0;
+    }
+
+    /**
+     * Predict the score multiplier and magnet on each search tick, with power-ups wearing off
+     * on schedule, and the score the player gains just by running on
+     * @param {number} ticks Number of ticks to predict
+     * @returns {Object} Arrays by tick: multiplier, magnet (true while active) and
+     *                   timeScore (running score gained by the end of the tick)
+     */
+    predictScoring(ticks) {
+        const deltaTime = 1 / 60;
+        const multiplierLeft = this.powerUps.getRemaining('multiplier');
+        const magnetLeft = this.powerUps.getRemaining('magnet');
+        const scoring = { multiplier: [], magnet: [], timeScore: [] };
+        let timeScore = 0;
+
+        for (let tick = 0; tick < ticks; tick++) {
+            const multiplier = multiplierLeft - tick * deltaTime > 0 ? this.powerUps.getScoreMultiplier() : 1;
+            timeScore += deltaTime * multiplier;
+            scoring.multiplier.push(multiplier);
+            scoring.magnet.push(magnetLeft - tick * deltaTime > 0);
+            scoring.timeScore.push(timeScore);
+        }
+
+        return scoring;
+    }
+
+    /**
+     * Move a state's obstacles on by one tick, at the speed its own score gives them
+     * @param {Object} state Search state
+     * @param {number} tick Search tick
+     * @param {number[]} travel Predicted distance moved by the end of each tick (see ObstacleManager.predictTravel)
+     * @param {Object} scoring Predicted scoring, see predictScoring
+     * @returns {number} Distance the state's obstacles are ahead of the prediction
+     */
+    advanceTrack(state, tick, travel, scoring) {
+        const obstacles = this.obstacles;
+        const score = this.scoreManager.score + scoring.timeScore[tick] + state.bonus;
+        const speed = Math.min(obstacles.initialSpeed + score * obstacles.speedIncreaseRate, obstacles.maxSpeed);
+
+        // The prediction includes slowdowns and slow-motion, which slow both speeds alike
+        const predicted = travel[tick] - (tick > 0 ? travel[tick - 1] : 0);
+        state.travel += predicted * speed / obstacles.baseSpeed;
+
+        return state.travel - travel[tick];
+    }
+
+    /**
+     * Work out when each obstacle is level with the player and group overlapping stretches
+     * @param {Object[]} obstacles Obstacle copies
+     * @returns {Object[]} Clusters {start, end, obstacles} in tick order
+     */
+    groupWindows(obstacles) {
+        const playerCollider = this.player.collider;
+        const gapTicks = this.getSettleTicks() + this.getLeadTicks();
+        const clusters = [];
+
+        // Obstacles move each tick before collisions are checked, by the predicted distance
+        // (slowdowns wearing off bring them in sooner than the current speed would)
+        const farthest = Math.max(0, ...obstacles.map(obstacle => playerCollider.max.z - obstacle.collider.min.z));
+        const travel = this.obstacles.predictTravel(farthest);
+
+        for (const obstacle of obstacles) {
+            const { min, max } = obstacle.collider;
+            obstacle.window = {
+                start: travel.findIndex(moved => moved >= playerCollider.min.z - max.z),
+                end: travel.findIndex(moved => moved > playerCollider.max.z - min.z) - 1,
+                startZ: obstacle.position.z,
+                travel: travel
+            };
+        }
+
+        const upcoming = obstacles
+            .filter(obstacle => obstacle.window.end >= obstacle.window.start)
+            .sort((a, b) => a.window.start - b.window.start);
+
+        for (const obstacle of upcoming) {
+            const cluster = clusters[clusters.length - 1];
+
+            // Obstacles too close together to settle in between are searched as one stretch
+            if (cluster && obstacle.window.start - cluster.end < gapTicks) {
+                cluster.end = Math.max(cluster.end, obstacle.window.end);
+                cluster.obstacles.push(obstacle);
+            } else {
+                clusters.push({ start: obstacle.window.start, end: obstacle.window.end, obstacles: [obstacle] });
+            }
+        }
+
+        return clusters;
+    }
+
+    /**
+     * Get the number of ticks after which the player can be running in any lane,
+     * whatever they were doing (landing or fast-falling into a slide, while crossing every lane)
+     * @returns {number} Ticks
+     */
+    getSettleTicks() {
+        const player = this.player;
+        const lanes = player.lanes;
+        const airTicks = 2 * player.jumpForce / player.gravity;
+        const peakHeight = player.jumpForce * player.jumpForce / (2 * player.gravity);
+        const fastFallTicks = peakHeight / player.fastFallSpeed + player.slideDuration * 60;
+        const crossTicks = lanes.count * lanes.width / player.lateralSpeed; // Including backing out of a switch
+
+        return Math.ceil(Math.max(Math.min(airTicks, fastFallTicks), crossTicks)) + lanes.count * this.decisionInterval;
+    }
+
+    /**
+     * Get how long before an obstacle a resting player may need to start moving
+     * (a jump takes off this early to still be airborne over it)
+     * @returns {number} Ticks
+     */
+    getLeadTicks() {
+        return Math.ceil(2 * this.player.jumpForce / this.player.gravity) + this.decisionInterval;
+    }
+
+    /**
+     * Create a search state
+     * @param {Player} player Player copy
+     * @returns {Object} State {player, bonus, travel, collected, nearMisses}
+     */
+    createState(player) {
+        return {
+            player: player,
+            bonus: 0, // Score from coins and near misses gained in the search
+            travel: 0, // Distance its obstacles have moved since the search started
+            collected: new Set(), // Coin copies collected
+            nearMisses: new Map() // Obstacle copy to near miss status (grazed, counted or hit)
+        };
+    }
+
+    /**
+     * Copy a search state
+     * @param {Object} state Search state
+     * @param {Player} player Player copy for the new state (a copy of the state's own if omitted)
+     * @returns {Object} Copy
+     */
+    cloneState(state, player = state.player.clone()) {
+        return {
+            player: player,
+            bonus: state.bonus,
+            travel: state.travel,
+            collected: new Set(state.collected),
+            nearMisses: new Map(state.nearMisses)
+        };
+    }
+
+    /**
+     * Create a state running in each lane
+     * @param {Object} template State whose score and obstacle travel the resting states keep
+     * @returns {Object[]} Resting states
+     */
+    createRestStates(template) {
+        const states = [];
+
+        for (let lane = 0; lane < this.player.lanes.count; lane++) {
+            const player = this.player.clone();
+            player.reset(lane);
+            states.push(this.cloneState(template, player));
+        }
+
+        return states;
+    }
+
+    /**
+     * Copy the active obstacles and create the planned ones
+     * @param {Object[]} planned Planned obstacles [{type, lane, distance}]
+     * @returns {Object[]} Obstacle copies that can be moved freely
+     */
+    collectObstacles(planned) {
+        const copies = [];
+
+        for (const obstacle of this.obstacles.activeObstacles) {
+            // Obstacles that already had their (non-fatal) effect can't hurt again
+            if (obstacle.hit || !this.canBeFatal(obstacle.type)) continue;
+
+            const copy = this.obstacles.createObstacle(obstacle.type);
+            copy.position = { ...obstacle.position };
+            copy.grazed = obstacle.grazed;
+            copy.nearMissCounted = obstacle.nearMissCounted;
+            this.obstacles.updateObstacleCollider(copy);
+            copies.push(copy);
+        }
+
+        for (const entry of planned) {
+            if (!this.canBeFatal(entry.type)) continue;
+
+            const copy = this.obstacles.createObstacle(entry.type);
+            copy.position = { x: this.obstacles.lanes.getLaneX(entry.lane), y: 0, z: -entry.distance };
+            this.obstacles.updateObstacleCollider(copy);
+            copies.push(copy);
+        }
+
+        return copies;
+    }
+
+    /**
+     * Copy the coins on the track (coins that will come with planned obstacles aren't placed yet)
+     * @returns {Object[]} Coin copies {startZ, position, collider}
+     */
+    collectCoins() {
+        return this.coins.activeCoins.map(coin => ({
+            startZ: coin.position.z,
+            position: { ...coin.position },
+            collider: coin.collider.clone()
+        }));
+    }
+
+    /**
+     * Move the coin copies where the predicted speed takes them, and pick the ones close to the player
+     * @param {Object[]} coins Coin copies
+     * @param {number} moved Predicted distance moved since the search started
+     * @param {number} reach Extra distance at which coins count as close (states ahead of the prediction, magnet)
+     * @returns {Object[]} Coin copies close to the player
+     */
+    placeCoins(coins, moved, reach) {
+        const { min, max } = this.player.collider;
+        const nearby = [];
+
+        for (const coin of coins) {
+            coin.position.z = coin.startZ + moved;
+            if (coin.position.z >= min.z - reach - 1 && coin.position.z <= max.z + reach + 1) {
+                this.coins.updateCoinCollider(coin);
+                nearby.push(coin);
+            }
+        }
+
+        return nearby;
+    }
+
+    /**
+     * Check whether hitting an obstacle type can end the run
+     * @param {string} type Obstacle type
+     * @returns {boolean} True if any side of it is fatal
+     */
+    canBeFatal(type) {
+        const responses = this.obstacles.obstacleDefinitions[type].responses;
+        return Object.values(responses).some(effect => this.collisionResponder.effects[effect].fatal);
+    }
+
+    /**
+     * Branch each state on every possible input
+     * @param {Object[]} states Current states
+     * @returns {Object[]} Distinct states after applying each input
+     */
+    expand(states) {
+        const expanded = new Map();
+
+        for (const state of states) {
+            for (const action of this.actions) {
+                // Doing nothing keeps the state itself instead of a copy
+                const next = action ? this.cloneState(state) : state;
+                this.applyAction(next.player, action);
+
+                // Of two ways into the same state, keep the one with the slower obstacles
+                const key = this.getStateKey(next);
+                const known = expanded.get(key);
+                if (!known || next.travel < known.travel) {
+                    expanded.set(key, next);
+                }
+                if (expanded.size >= this.maxStates) {
+                    return Array.from(expanded.values());
+                }
+            }
+        }
+
+        return Array.from(expanded.values());
+    }
+
+    /**
+     * Apply an input to a player copy (mirrors Simulation.applyAction)
+     * @param {Player} player Player copy
+     * @param {string|null} action Action name, or null to do nothing
+     */
+    applyAction(player, action) {
+        switch (action) {
+            case 'jump':
+                player.jump();
+                break;
+            case 'left':
+                player.moveLeft();
+                break;
+            case 'right':
+                player.moveRight();
+                break;
+            case 'slide':
+                player.slide();
+                break;
+        }
+    }
+
+    /**
+     * Check whether a state's player hits any obstacle fatally. A copy that stumbles
+     * over an obstacle is stumbled like the real player, as it can't jump for a while.
+     * @param {Object} state Search state
+     * @param {Object[]} obstacles Obstacles that may be level with the player
+     * @returns {boolean} True if a fatal collision happens
+     */
+    hitsFatally(state, obstacles) {
+        const player = state.player;
+        if (player.invulnerableTimer > 0) {
+            return false;
+        }
+
+        for (const obstacle of obstacles) {
+            if (!player.collider.intersects(obstacle.collider)) continue;
+
+            // A hit obstacle is no near miss
+            state.nearMisses.set(obstacle, 'hit');
+
+            const side = this.collisionDetector.getCollisionSide(obstacle, player);
+            const effectName = this.collisionResponder.getEffectName({ type: obstacle.type, side });
+            const effect = this.collisionResponder.effects[effectName];
+            if (effect.fatal) {
+                return true;
+            }
+
+            // The real player only stumbles once per obstacle, so don't extend a stumble in progress
+            if (effectName === 'stumble' && player.stumbleTimer <= 0) {
+                player.stumble(effect.duration);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Add the score a state gains on a tick from coins and near misses (mirrors Simulation.step,
+     * with coins in range of the magnet counted as collected straight away)
+     * @param {Object} state Search state
+     * @param {number} tick Search tick
+     * @param {Object[]} obstacles Obstacles that may be level with the player
+     * @param {Object[]} coins Coin copies close to the player
+     * @param {Object} scoring Predicted scoring, see predictScoring
+     */
+    collectBonuses(state, tick, obstacles, coins, scoring) {
+        const player = state.player;
+        let score = 0;
+
+        for (const coin of coins) {
+            if (state.collected.has(coin)) continue;
+
+            if (coin.collider.intersects(player.collider) || (scoring.magnet[tick] && this.coins.isInMagnetRange(coin, player))) {
+                state.collected.add(coin);
+                score += this.scoreManager.coinValue;
+            }
+        }
+
+        // Passing through obstacles while recovering from a hit is no close call
+        if (player.invulnerableTimer <= 0) {
+            for (const obstacle of obstacles) {
+                let status = state.nearMisses.get(obstacle) || (obstacle.nearMissCounted ? 'counted' : obstacle.grazed ? 'grazed' : null);
+                if (!obstacle.nearMissMargin || status === 'counted' || status === 'hit') continue;
+
+                if (!status && this.collisionDetector.checkNearMiss(obstacle, player)) {
+                    status = 'grazed';
+                    state.nearMisses.set(obstacle, status);
+                }
+
+                // Counted once the obstacle is behind the player
+                if (status === 'grazed' && obstacle.collider.min.z > player.collider.max.z) {
+                    state.nearMisses.set(obstacle, 'counted');
+                    score += this.scoreManager.nearMissBonus;
+                }
+            }
+        }
+
+        state.bonus += score * scoring.multiplier[tick];
+    }
+
+    /**
+     * Summarise a search state so equivalent states are only explored once
+     * @param {Object} state Search state
+     * @returns {string} State key
+     */
+    getStateKey(state) {
+        const player = state.player;
+        const change = player.laneChange;
+        return player.lane + '|' +
+            (change ? change.fromLane + '>' + Math.round(change.elapsed / 2) : '-') + '|' +
+            player.bufferedDirection + '|' +
+            Math.round(player.position.y * 5) + '|' +
+            Math.round(player.jumpVelocity * 50) + '|' +
+            (player.isSliding ? Math.round(player.slideTimer * 10) : '-') + '|' +
+            (player.slideOnLanding ? 's' : '-') + '|' +
+            (player.stumbleTimer > 0 ? 'x' : '-');
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Input recording and replay data for the endless runner game
+ */
+class Replay {
+    /**
+     * @param {number|string} seed Run seed
+     * @param {string} mode Game mode the run was played in
+     * @param {string} difficulty Difficulty profile the run was played on
+     */
+    constructor(seed, mode = 'classic', difficulty = 'normal') {
+        this.version = 1;
+        this.seed = String(seed);
+        this.mode = mode;
+        this.difficulty = difficulty;
+        this.inputs = []; // [tick, action code] pairs in tick order
+        this.length = 0; // Number of simulated ticks in the run
+        this.cursor = 0; // Index of the next input to play back
+    }
+
+    /**
+     * Get the short codes used to store each action
+     * @returns {Object} Map of action name to code
+     */
+    static get actionCodes() {
+        return { jump: 'j', left: 'l', right: 'r', slide: 's' };
+    }
+
+    /**
+     * Parse a replay from JSON text
+     * @param {string} text Replay file contents
+     * @returns {Replay} Parsed replay
+     */
+    static parse(text) {
+        const data = JSON.parse(text);
+
+        if (data.v !== 1 || typeof data.seed !== 'string' || !Array.isArray(data.inputs)) {
+            throw new Error('Unsupported replay file');
+        }
+
+        // Replays recorded before game modes and difficulties existed are classic runs on normal
+        const codes = Object.values(Replay.actionCodes);
+        const replay = new Replay(
+            data.seed,
+            typeof data.mode === 'string' ? data.mode : 'classic',
+            typeof data.difficulty === 'string' ? data.difficulty : 'normal'
+        );
+        replay.length = Number(data.ticks) || 0;
+
+        // Checked here rather than when the run starts, so a bad file is rejected before the game leaves its menus
+        if (!Simulation.modes[replay.mode]) {
+            throw new Error(`Unknown game mode: ${replay.mode}`);
+        }
+        DifficultyProfiles.get(replay.difficulty);
+
+        // Ticks are stored as deltas from the previous input to keep files small
+        let tick = 0;
+        for (const [delta, code] of data.inputs) {
+            if (!Number.isInteger(delta) || delta < 0) {
+                throw new Error('Unsupported replay file');
+            }
+            if (!codes.includes(code)) {
+                throw new Error(`Unknown replay action: ${code}`);
+            }
+            tick += delta;
+            replay.inputs.push([tick, code]);
+        }
+
+        return replay;
+    }
+
+    /**
+     * Record an action applied at the start of a simulation tick
+     * @param {number} tick Simulation tick
+     * @param {string} action Action name (jump, left, right or slide)
+     */
+    record(tick, action) {
+        this.inputs.push([tick, Replay.actionCodes[action]]);
+    }
+
+    /**
+     * Get the actions to apply at a tick during playback
+     * @param {number} tick Simulation tick
+     * @returns {string[]} Action names
+     */
+    getActionsAt(tick) {
+        const actions = [];
+        const names = Object.keys(Replay.actionCodes);
+
+        // Skip anything left behind (inputs are consumed in order)
+        while (this.cursor < this.inputs.length && this.inputs[this.cursor][0] < tick) {
+            this.cursor++;
+        }
+
+        while (this.cursor < this.inputs.length && this.inputs[this.cursor][0] === tick) {
+            const code = this.inputs[this.cursor][1];
+            actions.push(names.find(name => Replay.actionCodes[name] === code));
+            this.cursor++;
+        }
+
+        return actions;
+    }
+
+    /**
+     * Rewind playback to the first input
+     */
+    rewind() {
+        this.cursor = 0;
+    }
+
+    /**
+     * Serialize the replay to compact JSON
+     * @returns {string} Replay file contents
+     */
+    serialize() {
+        let previousTick = 0;
+        const inputs = this.inputs.map(([tick, code]) => {
+            const delta = tick - previousTick;
+            previousTick = tick;
+            return [delta, code];
+        });
+
+        return JSON.stringify({
+            v: this.version,
+            seed: this.seed,
+            mode: this.mode,
+            difficulty: this.difficulty,
+            ticks: this.length,
+            inputs: inputs
+        });
+    }
+
+    /**
+     * Download the replay as a JSON file
+     */
+    download() {
+        const blob = new Blob([this.serialize()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `endless-runner-replay-${this.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Collision responses for the endless runner game
+ */
+class CollisionResponder {
+    constructor(player, obstacles) {
+        this.player = player;
+        this.obstacles = obstacles;
+
+        // Effects that obstacle definitions can refer to in their responses
+        this.effects = {
+            fatal: { fatal: true },
+            slow: { fatal: false, speedFactor: 0.6, duration: 1.5 },
+            stumble: { fatal: false, speedFactor: 0.8, duration: 0.5 }
+        };
+    }
+
+    /**
+     * Get the effect an obstacle has when hit from a side
+     * @param {Object} collision Collision from CollisionDetector
+     * @returns {string} Effect name
+     */
+    getEffectName(collision) {
+        const responses = this.obstacles.obstacleDefinitions[collision.type].responses;
+        return responses[collision.side] || responses.default;
+    }
+
+    /**
+     * Apply the effect of a collision
+     * @param {Object} collision Collision from CollisionDetector
+     * @returns {Object} The collision with its effect name and whether it was fatal
+     */
+    respond(collision) {
+        const effectName = this.getEffectName(collision);
+        const effect = this.effects[effectName];
+
+        // Only apply each obstacle's effect once
+        collision.obstacle.hit = true;
+
+        switch (effectName) {
+            case 'slow':
+                this.obstacles.slowDown(effect.speedFactor, effect.duration);
+                break;
+            case 'stumble':
+                this.obstacles.slowDown(effect.speedFactor, effect.duration);
+                this.player.stumble(effect.duration);
+                break;
+        }
+
+        return { ...collision, effect: effectName, fatal: effect.fatal };
+    }
+}
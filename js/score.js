@@ -2,62 +2,127 @@
  * Score management for the endless runner game
  */
 class ScoreManager {
-    constructor() {
+    /**
+     * @param {Storage|null} storage Where the leaderboard and coins are kept (localStorage in the browser)
+     */
+    constructor(storage = null) {
+        this.storage = storage;
         this.score = 0;
-        this.highScore = this.loadHighScore();
-        this.scoreElement = document.getElementById('current-score');
-        this.highScoreElement = document.getElementById('high-score');
-        this.finalScoreElement = document.getElementById('final-score');
-        this.updateUI();
+        this.difficulty = 'normal'; // High scores are kept per difficulty
+        this.leaderboard = new Leaderboard(storage);
+        this.highScore = this.leaderboard.getBestScore(this.difficulty);
+        this.coins = 0; // Coins collected this run
+        this.coinValue = 5; // Score for each coin
+        this.nearMissBonus = 10; // Score for passing an obstacle by a narrow margin
+        this.multiplier = 1; // Score multiplier from power-ups
+        this.totalCoins = this.loadTotalCoins();
+        this.saveEnabled = true; // Disabled while watching replays
+        this.milestoneInterval = 100; // Score between scoreMilestone events
+        this.events = null; // EventBus milestones are published to
     }
 
     /**
-     * Load high score from local storage
+     * Switch to the high score of another difficulty
+     * @param {string} difficulty Difficulty profile name
      */
-    loadHighScore() {
-        const savedHighScore = localStorage.getItem('endlessRunnerHighScore');
-        return savedHighScore ? parseInt(savedHighScore) : 0;
+    setDifficulty(difficulty) {
+        this.difficulty = difficulty;
+        this.highScore = this.leaderboard.getBestScore(difficulty);
     }
 
     /**
-     * Save high score to local storage
+     * Load the total of coins collected over all runs from storage
      */
-    saveHighScore() {
-        localStorage.setItem('endlessRunnerHighScore', this.highScore.toString());
+    loadTotalCoins() {
+        const savedCoins = this.storage ? this.storage.getItem('endlessRunnerCoins') : null;
+        return savedCoins ? parseInt(savedCoins) : 0;
     }
 
     /**
-     * Update score display in UI
+     * Save the coin total to storage
      */
-    updateUI() {
-        this.scoreElement.textContent = `Score: ${Math.floor(this.score)}`;
-        this.highScoreElement.textContent = `High Score: ${Math.floor(this.highScore)}`;
+    saveTotalCoins() {
+        if (this.storage) {
+            this.storage.setItem('endlessRunnerCoins', this.totalCoins.toString());
+        }
     }
 
     /**
-     * Update final score on game over screen
+     * Increment score by given amount (scaled by the multiplier). The high score
+     * follows along; it is saved when the run is added to the leaderboard.
      */
-    updateFinalScore() {
-        this.finalScoreElement.textContent = `Score: ${Math.floor(this.score)}`;
+    addScore(amount) {
+        const previousScore = this.score;
+        this.score += amount * this.multiplier;
+        this.publishMilestones(previousScore);
+        if (this.saveEnabled && this.score > this.highScore) {
+            this.highScore = this.score;
+        }
     }
 
     /**
-     * Increment score by given amount
+     * Publish a scoreMilestone event for each milestone passed since a previous score
+     * @param {number} previousScore Score before the last change
      */
-    addScore(amount) {
-        this.score += amount;
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
-            this.saveHighScore();
+    publishMilestones(previousScore) {
+        if (!this.events) {
+            return;
+        }
+
+        const interval = this.milestoneInterval;
+        for (let milestone = (Math.floor(previousScore / interval) + 1) * interval; milestone <= this.score; milestone += interval) {
+            this.events.emit('scoreMilestone', { milestone: milestone, score: this.score });
         }
-        this.updateUI();
+    }
+
+    /**
+     * Count collected coins and add their score
+     * @param {number} count Number of coins collected
+     */
+    addCoins(count) {
+        this.coins += count;
+        if (this.saveEnabled) {
+            this.totalCoins += count;
+            this.saveTotalCoins();
+        }
+        this.addScore(count * this.coinValue);
+    }
+
+    /**
+     * Add the bonus for a near miss
+     */
+    addNearMissBonus() {
+        this.addScore(this.nearMissBonus);
+    }
+
+    /**
+     * Add the finished run to the leaderboard (unless saving is disabled)
+     * @param {Object} details Run details {name, distance, cause}
+     * @returns {Object|null} Leaderboard entry, or null if the run didn't make the table
+     */
+    recordRun(details) {
+        if (!this.saveEnabled) {
+            return null;
+        }
+
+        const entry = {
+            name: details.name,
+            score: Math.floor(this.score),
+            distance: Math.floor(details.distance),
+            date: new Date().toISOString(),
+            difficulty: this.difficulty,
+            cause: details.cause
+        };
+        return this.leaderboard.add(entry) > 0 ? entry : null;
     }
 
     /**
      * Reset score to zero
      */
     reset() {
+        this.highScore = this.leaderboard.getBestScore(this.difficulty);
         this.score = 0;
-        this.updateUI();
+        this.coins = 0;
+        this.multiplier = 1;
     }
 }
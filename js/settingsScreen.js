@@ -0,0 +1,120 @@
+/**
+ * Settings screen for the endless runner game: graphics and audio volumes
+ */
+class SettingsScreen {
+    /**
+     * @param {GraphicsSettings} settings Graphics settings edited by the screen
+     * @param {AudioManager} audio Audio whose volumes are edited by the screen
+     * @param {Function} onChange Called after any graphics setting changes
+     * @param {Function} onClose Called after the screen closes
+     */
+    constructor(settings, audio, onChange, onClose) {
+        this.settings = settings;
+        this.audio = audio;
+        this.onChange = onChange;
+        this.onClose = onClose;
+        this.isOpen = false;
+
+        // DOM elements
+        this.container = document.getElementById('settings-screen');
+        this.presetSelect = document.getElementById('graphics-preset');
+        this.backButton = document.getElementById('settings-back-button');
+
+        // Inputs by setting, with how each reads and shows its value
+        this.inputs = {
+            shadows: { element: document.getElementById('graphics-shadows'), property: 'checked' },
+            shadowMapSize: { element: document.getElementById('graphics-shadow-map-size'), parse: parseInt },
+            antialias: { element: document.getElementById('graphics-antialias'), property: 'checked' },
+            pixelRatio: { element: document.getElementById('graphics-pixel-ratio'), parse: parseFloat },
+            vegetation: { element: document.getElementById('graphics-vegetation'), parse: value => parseInt(value) / 100, format: value => Math.round(value * 100) },
+            drawDistance: { element: document.getElementById('graphics-draw-distance'), parse: parseInt }
+        };
+
+        // Volume sliders by audio channel
+        this.volumeInputs = {
+            master: document.getElementById('volume-master'),
+            music: document.getElementById('volume-music'),
+            sfx: document.getElementById('volume-sfx')
+        };
+        this.muteCheckbox = document.getElementById('audio-mute');
+
+        // Event listeners
+        for (const [channel, input] of Object.entries(this.volumeInputs)) {
+            input.addEventListener('input', () => this.audio.setVolume(channel, parseInt(input.value) / 100));
+        }
+        this.muteCheckbox.addEventListener('change', () => this.audio.setMuted(this.muteCheckbox.checked));
+        this.presetSelect.addEventListener('change', () => this.changePreset(this.presetSelect.value));
+        for (const [key, input] of Object.entries(this.inputs)) {
+            input.element.addEventListener('change', () => this.changeSetting(key));
+        }
+        this.backButton.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Show the screen
+     */
+    open() {
+        this.isOpen = true;
+        this.update();
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the screen
+     */
+    close() {
+        this.isOpen = false;
+        this.container.classList.add('hidden');
+        this.onClose();
+    }
+
+    /**
+     * Show the current settings in the inputs
+     */
+    update() {
+        this.presetSelect.value = this.settings.preset;
+
+        for (const [key, input] of Object.entries(this.inputs)) {
+            const value = this.settings[key];
+            if (input.property === 'checked') {
+                input.element.checked = value;
+            } else {
+                input.element.value = String(input.format ? input.format(value) : value);
+            }
+        }
+
+        for (const [channel, input] of Object.entries(this.volumeInputs)) {
+            input.value = String(Math.round(this.audio.volumes[channel] * 100));
+        }
+        this.muteCheckbox.checked = this.audio.muted;
+    }
+
+    /**
+     * Switch to a preset (custom keeps the current values)
+     * @param {string} preset Preset name
+     */
+    changePreset(preset) {
+        if (preset === 'custom') {
+            this.settings.preset = 'custom';
+            this.settings.save();
+        } else {
+            this.settings.applyPreset(preset);
+        }
+
+        this.update();
+        this.onChange();
+    }
+
+    /**
+     * Read a changed input into the settings
+     * @param {string} key Setting name
+     */
+    changeSetting(key) {
+        const input = this.inputs[key];
+        const value = input.property === 'checked' ? input.element.checked : input.parse(input.element.value);
+
+        this.settings.set(key, value);
+        this.update();
+        this.onChange();
+    }
+}
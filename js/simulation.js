@@ -0,0 +1,278 @@
+/**
+ * Headless gameplay simulation for the endless runner game.
+ * Holds all gameplay state (no THREE or DOM), so it also runs in Node.
+ */
+class Simulation {
+    /**
+     * @param {Object} options Simulation options
+     * @param {number|string} options.seed Run seed
+     * @param {Storage|null} options.storage High score storage (localStorage in the browser)
+     * @param {number} options.laneCount Number of lanes (default 3)
+     * @param {number} options.laneWidth Distance between lane centers (default 2)
+     * @param {Object} options.formations Parsed formations file (single random obstacles if omitted)
+     * @param {string} options.mode Game mode (classic or lives, default classic)
+     * @param {string} options.difficulty Difficulty profile name (default normal)
+     */
+    constructor(options = {}) {
+        this.fixedTimeStep = 1 / 60;
+        this.state = 'running'; // running, ended
+        this.tick = 0;
+        this.distance = 0; // Distance run, in world units
+        this.collisions = []; // Collision responses from the last tick
+        this.coinsCollected = 0; // Coins picked up in the last tick
+        this.nearMisses = []; // Obstacles passed by a narrow margin in the last tick
+        this.powerUpsCollected = []; // Power-up types picked up in the last tick
+        this.obstaclesUnlocked = []; // Obstacle types unlocked in the last tick
+        this.achievementsUnlocked = []; // Achievement definitions unlocked in the last tick
+        this.causeOfDeath = null; // Fatal collision that ended the run
+        
+        this.modes = Simulation.modes;
+        this.mode = options.mode || 'classic';
+        this.lives = this.modes[this.mode].lives;
+        this.difficulty = options.difficulty || 'normal';
+
+        // Game components
+        this.random = new RandomGenerator(options.seed !== undefined ? options.seed : RandomGenerator.createSeed());
+        this.lanes = new LaneLayout(options.laneCount || 3, options.laneWidth || 2);
+        this.scoreManager = new ScoreManager(options.storage || null);
+        this.player = new Player(this.lanes);
+        this.obstacles = new ObstacleManager(this.random, this.lanes);
+        if (options.formations) {
+            this.setFormations(options.formations);
+        }
+        this.coins = new CoinManager(this.random, this.lanes, this.obstacles);
+        this.powerUps = new PowerUpManager(this.random, this.lanes, this.obstacles);
+        this.collisionDetector = new CollisionDetector(this.player, this.obstacles);
+        this.collisionResponder = new CollisionResponder(this.player, this.obstacles);
+        
+        // Components publish what happens on a shared event bus
+        this.events = new EventBus();
+        [this.player, this.obstacles, this.scoreManager, this.collisionDetector].forEach(component => component.events = this.events);
+        
+        // Stats and achievements, gathered from the events
+        this.stats = new StatsTracker(this.events, options.storage || null);
+        this.achievements = new AchievementTracker(this.stats, options.storage || null);
+        
+        // Make sure every spawn leaves the player a way through
+        this.reachability = new ReachabilityValidator(
+            this.player, this.obstacles, this.collisionDetector, this.collisionResponder,
+            this.scoreManager, this.coins, this.powerUps
+        );
+        this.obstacles.setValidator(this.reachability);
+        
+        this.applyDifficulty(this.difficulty);
+    }
+
+    /**
+     * Get the game modes: how many fatal hits a run can take, and whether its runs are ranked
+     * @returns {Object} Map of mode name to {lives, ranked}
+     */
+    static get modes() {
+        return {
+            classic: { lives: 1, ranked: true },
+            lives: { lives: 3, ranked: false } // Practice mode: knocked back and briefly invulnerable after a hit
+        };
+    }
+
+    /**
+     * Load authored obstacle formations and the obstacle type distribution
+     * @param {Object} data Parsed formations file
+     */
+    setFormations(data) {
+        this.obstacles.setFormations(new FormationLibrary(data, this.obstacles.obstacleTypes));
+        this.obstacles.setDistribution(new ObstacleDistribution(data.obstacleTypes || {}, this.obstacles.obstacleTypes));
+    }
+    
+    /**
+     * Apply a difficulty profile to every component it tunes
+     * @param {string} difficulty Difficulty profile name
+     */
+    applyDifficulty(difficulty) {
+        const profile = DifficultyProfiles.get(difficulty);
+        
+        this.difficulty = difficulty;
+        this.obstacles.setDifficulty(profile);
+        this.player.setTuning(profile.player);
+        this.scoreManager.setDifficulty(difficulty);
+    }
+    
+    /**
+     * Turn saving of high scores, coins, stats and achievements on or off (off while watching replays)
+     * @param {boolean} enabled Whether runs are saved
+     */
+    setSaveEnabled(enabled) {
+        this.scoreManager.saveEnabled = enabled;
+        this.stats.saveEnabled = enabled;
+        this.achievements.saveEnabled = enabled;
+    }
+    
+    /**
+     * Reset to the first tick of a run
+     * @param {number|string} seed Run seed
+     * @param {string} mode Game mode (keeps the current one if omitted)
+     * @param {string} difficulty Difficulty profile name (keeps the current one if omitted)
+     */
+    reset(seed, mode = this.mode, difficulty = this.difficulty) {
+        if (!this.modes[mode]) {
+            throw new Error(`Unknown game mode: ${mode}`);
+        }
+        
+        this.mode = mode;
+        this.lives = this.modes[mode].lives;
+        this.applyDifficulty(difficulty);
+        this.random.setSeed(seed);
+        this.scoreManager.reset();
+        this.player.reset();
+        this.obstacles.reset();
+        this.coins.reset();
+        this.powerUps.reset();
+        this.stats.reset();
+        this.reachability.resetReport();
+        this.state = 'running';
+        this.tick = 0;
+        this.reachability.tick = 0;
+        this.distance = 0;
+        this.collisions = [];
+        this.coinsCollected = 0;
+        this.nearMisses = [];
+        this.powerUpsCollected = [];
+        this.obstaclesUnlocked = [];
+        this.achievementsUnlocked = [];
+        this.causeOfDeath = null;
+    }
+
+    /**
+     * Advance the simulation by one fixed step
+     * @param {string[]} actions Actions to apply at the start of this tick
+     */
+    step(actions = []) {
+        if (this.state !== 'running') {
+            return;
+        }
+
+        actions.forEach(action => this.applyAction(action));
+
+        this.tick++;
+        this.reachability.tick = this.tick;
+
+        // Apply power-up effects that scale other systems
+        this.scoreManager.multiplier = this.powerUps.getScoreMultiplier();
+        this.obstacles.timeScale = this.powerUps.getTimeScale();
+        this.obstacles.timeScaleTimer = this.powerUps.getRemaining('slowMotion');
+
+        // Update score
+        const previousScore = this.scoreManager.score;
+        this.scoreManager.addScore(this.fixedTimeStep);
+
+        // Update player
+        this.player.update(this.fixedTimeStep);
+
+        // Update obstacles, with coins and power-ups placed around each new formation
+        const plan = this.obstacles.update(this.fixedTimeStep, this.scoreManager.score);
+        if (plan) {
+            this.coins.spawnForPlan(plan);
+            this.powerUps.spawnForPlan(plan);
+        }
+        this.distance += this.obstacles.speed * this.fixedTimeStep * 60; // Speed is per 60Hz tick
+        this.coins.update(this.fixedTimeStep, this.powerUps.isActive('magnet') ? this.player : null);
+        this.powerUps.update(this.fixedTimeStep);
+        
+        // Pick up coins and power-ups
+        this.coinsCollected = this.coins.collect(this.player);
+        if (this.coinsCollected > 0) {
+            this.scoreManager.addCoins(this.coinsCollected);
+        }
+        this.powerUpsCollected = this.powerUps.collect(this.player);
+
+        // Check for collisions and apply each obstacle's effect
+        this.collisions = this.collisionDetector.checkCollisions().map(collision => this.collisionResponder.respond(collision));
+        
+        // A shield absorbs the hit (every fatal obstacle touched this tick)
+        const fatalCollisions = this.collisions.filter(collision => collision.fatal);
+        if (fatalCollisions.length > 0 && this.powerUps.consumeShield()) {
+            fatalCollisions.forEach(collision => {
+                collision.fatal = false;
+                collision.shielded = true;
+            });
+        }
+        
+        // Obstacles passed by a narrow margin earn a bonus
+        this.nearMisses = this.collisionDetector.checkNearMisses();
+        this.nearMisses.forEach(() => this.scoreManager.addNearMissBonus());
+        
+        // Obstacle types unlock when the score (including coins and bonuses) passes their milestone
+        this.obstaclesUnlocked = this.obstacles.distribution.getUnlocksBetween(previousScore, this.scoreManager.score);
+        
+        // A fatal hit costs a life, and the run ends with the last one
+        const fatalCollision = this.collisions.find(collision => collision.fatal);
+        if (fatalCollision) {
+            this.lives--;
+            
+            if (this.lives > 0) {
+                this.player.takeDamage();
+            } else {
+                this.state = 'ended';
+                this.causeOfDeath = fatalCollision;
+            }
+        }
+        
+        // Stats include the last tick of a run, which counts towards the lifetime stats
+        // before achievements are checked, so goals like a number of runs unlock on time
+        this.stats.update(this);
+        if (this.state === 'ended') {
+            this.stats.finishRun();
+        }
+        this.achievementsUnlocked = this.achievements.check(this.difficulty);
+    }
+    
+    /**
+     * Get the game over message for how the run ended
+     * @returns {string|null} Message, or null if the run did not end in a crash
+     */
+    getDeathMessage() {
+        if (!this.causeOfDeath) {
+            return null;
+        }
+        
+        return this.obstacles.obstacleDefinitions[this.causeOfDeath.type].deathMessage;
+    }
+
+    /**
+     * Add the finished run to the local leaderboard
+     * @param {string} name Player name
+     * @returns {Object|null} Leaderboard entry, or null if the run didn't make the table (or was practice)
+     */
+    recordRun(name) {
+        // Practice runs stay off the leaderboard
+        if (!this.modes[this.mode].ranked) {
+            return null;
+        }
+        
+        return this.scoreManager.recordRun({
+            name: name,
+            distance: this.distance,
+            cause: this.causeOfDeath ? this.causeOfDeath.type : null
+        });
+    }
+
+    /**
+     * Apply a gameplay action to the player
+     * @param {string} action Action name (jump, left, right or slide)
+     */
+    applyAction(action) {
+        switch (action) {
+            case 'jump':
+                this.player.jump();
+                break;
+            case 'left':
+                this.player.moveLeft();
+                break;
+            case 'right':
+                this.player.moveRight();
+                break;
+            case 'slide':
+                this.player.slide();
+                break;
+        }
+    }
+}
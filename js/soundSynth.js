@@ -0,0 +1,155 @@
+/**
+ * Procedural sound recipes for the endless runner game (Web Audio API, no sound files)
+ */
+class SoundSynth {
+    /**
+     * @param {BaseAudioContext} context Audio context (an OfflineAudioContext works too)
+     */
+    constructor(context) {
+        this.context = context;
+
+        // One second of white noise shared by every noisy sound
+        this.noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const samples = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+    }
+
+    /**
+     * Get the crunch of each obstacle type:
+     * - filter/frequency: filter shaping the noise burst
+     * - thump: pitch of the low body of the hit (Hz, 0 for none)
+     * - wave/ring: optional ringing tone (e.g. the barrier's metal)
+     * - duration: length in seconds
+     * @returns {Object} Map of obstacle type to crunch settings
+     */
+    static get crunches() {
+        return {
+            rock: { filter: 'lowpass', frequency: 900, thump: 90, duration: 0.35 },
+            log: { filter: 'bandpass', frequency: 450, thump: 140, wave: 'triangle', ring: 220, duration: 0.25 },
+            tree: { filter: 'lowpass', frequency: 350, thump: 70, duration: 0.45 },
+            puddle: { filter: 'highpass', frequency: 1800, thump: 0, duration: 0.3 },
+            barrier: { filter: 'bandpass', frequency: 2500, thump: 110, wave: 'square', ring: 660, duration: 0.4 }
+        };
+    }
+
+    /**
+     * Play a tone with an exponential pitch sweep and a quick decay
+     * @param {AudioNode} destination Node to play into
+     * @param {number} time Start time in context seconds
+     * @param {Object} options {wave, frequency, endFrequency, duration, volume}
+     */
+    tone(destination, time, { wave = 'sine', frequency, endFrequency = frequency, duration, volume = 0.5 }) {
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(frequency, time);
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        oscillator.connect(gain);
+        gain.connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+
+    /**
+     * Play a filtered noise burst
+     * @param {AudioNode} destination Node to play into
+     * @param {number} time Start time in context seconds
+     * @param {Object} options {filter, frequency, endFrequency, q, duration, volume, attack}
+     */
+    noise(destination, time, { filter = 'lowpass', frequency, endFrequency = frequency, q = 1, duration, volume = 0.5, attack = 0.005 }) {
+        const source = this.context.createBufferSource();
+        const biquad = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+        biquad.type = filter;
+        biquad.Q.value = q;
+        biquad.frequency.setValueAtTime(frequency, time);
+        biquad.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+        gain.gain.setValueAtTime(0.001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + attack);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        source.connect(biquad);
+        biquad.connect(gain);
+        gain.connect(destination);
+        source.start(time);
+        source.stop(time + duration);
+    }
+
+    /**
+     * A footstep on the road
+     * @param {AudioNode} destination Node to play into
+     * @param {number} time Start time in context seconds
+     * @param {boolean} left Left foot (slightly lower than the right)
+     */
+    footstep(destination, time, left) {
+        this.noise(destination, time, { filter: 'lowpass', frequency: left ? 500 : 600, duration: 0.06, volume: 0.25 });
+        this.tone(destination, time, { frequency: left ? 90 : 100, endFrequency: 50, duration: 0.05, volume: 0.2 });
+    }
+
+    /**
+     * A rising jump
+     * @param {AudioNode} destination Node to play into
+     * @param {number} time Start time in context seconds
+     */
+    jump(destination, time) {
+        this.tone(destination, time, { wave: 'triangle', frequency: 280, endFrequency: 720, duration: 0.18, volume: 0.3 });
+    }
+
+    /**
+     * A thud when landing
+     * @param {AudioNode} destination Node to play into
+     * @param {number} time Start time in context seconds
+     */
+    land(destination, time) {
+        this.tone(destination, time, { frequency: 150, endFrequency: 55, duration: 0.14, volume: 0.45 });
+        this.noise(destination, time, { filter: 'lowpass', frequency: 700, duration: 0.08, volume: 0.25 });
+    }
+
+    /**
+     * A collision crunch in the voice of the obstacle hit
+     * @param {AudioNode} destination Node to play into
+     * @param {number} time Start time in context seconds
+     * @param {string} type Obstacle type
+     * @param {boolean} shielded The shield absorbed the hit (adds a shimmer)
+     */
+    crunch(destination, time, type, shielded) {
+        const crunch = SoundSynth.crunches[type] || SoundSynth.crunches.rock;
+
+        this.noise(destination, time, { filter: crunch.filter, frequency: crunch.frequency, endFrequency: crunch.frequency * 0.5, duration: crunch.duration, volume: 0.6 });
+        if (crunch.thump > 0) {
+            this.tone(destination, time, { frequency: crunch.thump, endFrequency: crunch.thump * 0.5, duration: crunch.duration, volume: 0.6 });
+        }
+        if (crunch.ring) {
+            this.tone(destination, time, { wave: crunch.wave, frequency: crunch.ring, duration: crunch.duration, volume: 0.12 });
+        }
+        if (shielded) {
+            this.tone(destination, time, { frequency: 1200, endFrequency: 1800, duration: 0.3, volume: 0.15 });
+        }
+    }
+
+    /**
+     * A flyby: a swelling rush for airplanes, a few chirps for birds
+     * @param {AudioNode} destination Node to play into
+     * @param {number} time Start time in context seconds
+     * @param {string} kind airplane or bird
+     */
+    flyby(destination, time, kind) {
+        if (kind === 'bird') {
+            for (let i = 0; i < 3; i++) {
+                this.tone(destination, time + i * 0.12, { frequency: 2200, endFrequency: 3200, duration: 0.07, volume: 0.08 });
+            }
+            return;
+        }
+
+        this.noise(destination, time, { filter: 'bandpass', frequency: 300, endFrequency: 1200, q: 2, duration: 1.6, volume: 0.2, attack: 0.8 });
+    }
+}
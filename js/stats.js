@@ -0,0 +1,154 @@
+/**
+ * Run and lifetime statistics for the endless runner game, gathered from the
+ * simulation's events and state
+ */
+class StatsTracker {
+    /**
+     * @param {EventBus} events Event bus the simulation publishes to
+     * @param {Storage|null} storage Where lifetime stats are kept (none if null)
+     */
+    constructor(events, storage = null) {
+        this.storage = storage;
+        this.saveEnabled = true; // Disabled while watching replays
+        this.run = StatsTracker.createRunStats();
+        this.runCounted = false; // Whether the lifetime stats already include this run
+        this.lifetime = this.load();
+
+        events.on('jump', () => this.run.jumps++);
+        events.on('laneChange', () => {
+            this.run.laneChanges++;
+            this.run.timeInLane = 0;
+        });
+        events.on('nearMiss', () => this.run.nearMisses++);
+        events.on('obstaclePassed', event => this.run.obstaclesPassed[event.type] = (this.run.obstaclesPassed[event.type] || 0) + 1);
+    }
+
+    /**
+     * Create the stats of a run that has not started:
+     * - distance: world units run, timeAlive: seconds
+     * - topSpeed: fastest obstacle speed reached, in units per second
+     * - obstaclesPassed: obstacles that went by without a hit, by type
+     * - timeInLane/longestInLane: seconds since the last lane change, and the longest stretch
+     * @returns {Object} Run stats
+     */
+    static createRunStats() {
+        return {
+            distance: 0,
+            jumps: 0,
+            laneChanges: 0,
+            obstaclesPassed: {},
+            nearMisses: 0,
+            topSpeed: 0,
+            timeAlive: 0,
+            timeInLane: 0,
+            longestInLane: 0
+        };
+    }
+
+    /**
+     * Create empty lifetime stats: totals over every finished run, and the best single runs
+     * @returns {Object} Lifetime stats
+     */
+    static createLifetimeStats() {
+        return {
+            totals: { runs: 0, distance: 0, jumps: 0, laneChanges: 0, obstaclesPassed: {}, nearMisses: 0, timeAlive: 0 },
+            bests: { distance: 0, topSpeed: 0, timeAlive: 0, longestInLane: 0 }
+        };
+    }
+
+    /**
+     * Load lifetime stats from storage
+     * @returns {Object} Lifetime stats
+     */
+    load() {
+        const lifetime = StatsTracker.createLifetimeStats();
+        const saved = this.storage ? this.storage.getItem('endlessRunnerStats') : null;
+        if (!saved) {
+            return lifetime;
+        }
+
+        try {
+            const data = JSON.parse(saved);
+            Object.assign(lifetime.totals, data.totals);
+            Object.assign(lifetime.bests, data.bests);
+        } catch (error) {
+            console.warn('Ignoring unreadable stats:', error);
+        }
+        return lifetime;
+    }
+
+    /**
+     * Save lifetime stats to storage
+     */
+    save() {
+        if (this.storage) {
+            this.storage.setItem('endlessRunnerStats', JSON.stringify(this.lifetime));
+        }
+    }
+
+    /**
+     * Start the stats of a new run
+     */
+    reset() {
+        this.run = StatsTracker.createRunStats();
+        this.runCounted = false;
+    }
+
+    /**
+     * Update the stats that follow the simulation state, once per step
+     * @param {Simulation} simulation Simulation after a step
+     */
+    update(simulation) {
+        const run = this.run;
+
+        run.distance = simulation.distance;
+        run.timeAlive += simulation.fixedTimeStep;
+        run.topSpeed = Math.max(run.topSpeed, simulation.obstacles.speed * 60);
+        run.timeInLane += simulation.fixedTimeStep;
+        run.longestInLane = Math.max(run.longestInLane, run.timeInLane);
+    }
+
+    /**
+     * Add the finished run to the lifetime stats (unless saving is disabled)
+     */
+    finishRun() {
+        if (!this.saveEnabled || this.runCounted) {
+            return;
+        }
+
+        const run = this.run;
+        this.runCounted = true;
+        const { totals, bests } = this.lifetime;
+
+        totals.runs++;
+        for (const key of ['distance', 'jumps', 'laneChanges', 'nearMisses', 'timeAlive']) {
+            totals[key] += run[key];
+        }
+        for (const [type, count] of Object.entries(run.obstaclesPassed)) {
+            totals.obstaclesPassed[type] = (totals.obstaclesPassed[type] || 0) + count;
+        }
+        for (const key of Object.keys(bests)) {
+            bests[key] = Math.max(bests[key], run[key]);
+        }
+
+        this.save();
+    }
+
+    /**
+     * Get a stat by path, e.g. "jumps" or "obstaclesPassed.log"
+     * @param {string} scope run (the current run) or lifetime (totals including the current run)
+     * @param {string} path Stat path
+     * @returns {number} Value (0 if never counted)
+     */
+    get(scope, path) {
+        const read = stats => path.split('.').reduce((value, key) => (value && value[key]) || 0, stats);
+
+        if (scope === 'run') {
+            return read(this.run);
+        }
+        if (scope === 'lifetime') {
+            return read(this.lifetime.totals) + (path === 'runs' || this.runCounted ? 0 : read(this.run));
+        }
+        throw new Error(`Unknown stats scope: ${scope}`);
+    }
+}
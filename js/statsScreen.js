@@ -0,0 +1,90 @@
+/**
+ * Stats screen for the endless runner game: lifetime stats and achievements
+ */
+class StatsScreen {
+    /**
+     * @param {StatsTracker} stats Stats shown
+     * @param {AchievementTracker} achievements Achievements shown
+     * @param {Object} obstacleDefinitions Obstacle definitions, for the labels of obstacle types
+     * @param {Function} onClose Called after the screen closes
+     */
+    constructor(stats, achievements, obstacleDefinitions, onClose) {
+        this.stats = stats;
+        this.achievements = achievements;
+        this.obstacleDefinitions = obstacleDefinitions;
+        this.onClose = onClose;
+        this.isOpen = false;
+
+        // DOM elements
+        this.container = document.getElementById('stats-screen');
+        this.statsList = document.getElementById('stats-list');
+        this.achievementsList = document.getElementById('achievements-list');
+        this.backButton = document.getElementById('stats-back-button');
+
+        // Event listeners
+        this.backButton.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Show the screen
+     */
+    open() {
+        this.isOpen = true;
+        this.update();
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the screen
+     */
+    close() {
+        this.isOpen = false;
+        this.container.classList.add('hidden');
+        this.onClose();
+    }
+
+    /**
+     * Fill in the stats and achievements
+     */
+    update() {
+        const { totals, bests } = this.stats.lifetime;
+        const rows = [
+            ['Runs', totals.runs],
+            ['Distance', `${Math.floor(totals.distance)}m (best ${Math.floor(bests.distance)}m)`],
+            ['Time alive', `${this.formatTime(totals.timeAlive)} (best ${this.formatTime(bests.timeAlive)})`],
+            ['Top speed', `${bests.topSpeed.toFixed(1)}m/s`],
+            ['Jumps', totals.jumps],
+            ['Lane changes', totals.laneChanges],
+            ['Longest in one lane', this.formatTime(bests.longestInLane)],
+            ['Near misses', totals.nearMisses],
+            ...Object.entries(this.obstacleDefinitions).map(([type, definition]) => [`${definition.label}s passed`, totals.obstaclesPassed[type] || 0])
+        ];
+
+        this.statsList.innerHTML = '';
+        for (const [label, value] of rows) {
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+            row.appendChild(document.createElement('span')).textContent = label;
+            row.appendChild(document.createElement('span')).textContent = String(value);
+            this.statsList.appendChild(row);
+        }
+
+        this.achievementsList.innerHTML = '';
+        for (const definition of AchievementTracker.definitions) {
+            const item = document.createElement('li');
+            item.classList.toggle('unlocked', this.achievements.isUnlocked(definition.id));
+            item.textContent = `${definition.name}: ${definition.description}`;
+            this.achievementsList.appendChild(item);
+        }
+    }
+
+    /**
+     * Format seconds as minutes and seconds
+     * @param {number} seconds Duration in seconds
+     * @returns {string} Text such as 2:05
+     */
+    formatTime(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Touch backend of the input layer: swipes move, jump and slide, taps confirm or jump
+ */
+class TouchInput {
+    /**
+     * @param {HTMLElement} surface Element that receives the gestures
+     * @param {Function} emit Called with the actions of a gesture, returns true if one was used
+     */
+    constructor(surface, emit) {
+        this.emit = emit;
+        this.swipeDistance = 30; // Pixels a touch has to travel to count as a swipe
+        this.tapDuration = 300; // Milliseconds a touch can last and still count as a tap
+
+        // Gestures bound to each action
+        this.bindings = {
+            jump: ['SwipeUp', 'Tap'],
+            left: ['SwipeLeft'],
+            right: ['SwipeRight'],
+            slide: ['SwipeDown'],
+            pause: ['TwoFingerTap'],
+            confirm: ['Tap']
+        };
+
+        // Touch in progress {x, y, time, fingers}
+        this.start = null;
+
+        surface.addEventListener('touchstart', event => this.handleTouchStart(event), { passive: true });
+        surface.addEventListener('touchend', event => this.handleTouchEnd(event));
+    }
+
+    /**
+     * Check whether a touch landed on a menu control, which handles it itself
+     * @param {Event} event Touch event
+     * @returns {boolean} True for buttons, selects and other form controls
+     */
+    isOnControl(event) {
+        return !!(event.target.closest && event.target.closest('button, select, input, label'));
+    }
+
+    /**
+     * Remember where a touch started
+     * @param {TouchEvent} event Touch event
+     */
+    handleTouchStart(event) {
+        if (this.isOnControl(event)) {
+            this.start = null;
+            return;
+        }
+
+        // Extra fingers during a touch make it a multi-finger gesture
+        if (this.start && event.touches.length > 1) {
+            this.start.fingers = Math.max(this.start.fingers, event.touches.length);
+            return;
+        }
+
+        const touch = event.touches[0];
+        this.start = { x: touch.clientX, y: touch.clientY, time: event.timeStamp, fingers: event.touches.length };
+    }
+
+    /**
+     * Recognize the gesture once the last finger lifts
+     * @param {TouchEvent} event Touch event
+     */
+    handleTouchEnd(event) {
+        if (!this.start || event.touches.length > 0) {
+            return;
+        }
+
+        const touch = event.changedTouches[0];
+        const gesture = this.getGesture(touch.clientX - this.start.x, touch.clientY - this.start.y, event.timeStamp - this.start.time, this.start.fingers);
+        this.start = null;
+
+        if (gesture) {
+            const actions = InputManager.actions.filter(action => this.bindings[action].includes(gesture));
+            // Stop the browser from turning the tap into a click or zoom
+            if (actions.length > 0 && this.emit(actions) && event.cancelable) {
+                event.preventDefault();
+            }
+        }
+    }
+
+    /**
+     * Classify a finished touch
+     * @param {number} dx Horizontal travel in pixels
+     * @param {number} dy Vertical travel in pixels (down is positive)
+     * @param {number} duration Touch duration in milliseconds
+     * @param {number} fingers Most fingers down during the touch
+     * @returns {string|null} Gesture name, or null for a long press
+     */
+    getGesture(dx, dy, duration, fingers) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) >= this.swipeDistance) {
+            if (Math.abs(dx) > Math.abs(dy)) {
+                return dx < 0 ? 'SwipeLeft' : 'SwipeRight';
+            }
+            return dy < 0 ? 'SwipeUp' : 'SwipeDown';
+        }
+
+        if (duration <= this.tapDuration) {
+            return fingers > 1 ? 'TwoFingerTap' : 'Tap';
+        }
+
+        return null;
+    }
+}
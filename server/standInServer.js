@@ -0,0 +1,134 @@
+/**
+ * Local stand-in for the online leaderboard service, for development and tests.
+ * Implements the REST API used by js/onlineLeaderboard.js with an in-memory
+ * table, checking every submission with the reference verifier.
+ *
+ * Usage as a module:  const { createServer } = require('./server/standInServer.js');
+ *                     createServer().listen(8787);
+ * Usage from a shell: node server/standInServer.js [port]
+ *                     then open the game with ?leaderboard=http://localhost:8787
+ */
+const http = require('http');
+const { createVerifier } = require('./verifier.js');
+
+const MAX_BODY_SIZE = 1024 * 1024; // Bytes
+
+/**
+ * Create the server (not yet listening)
+ * @param {Object} verifier Verifier with verify(submission), see createVerifier
+ * @returns {http.Server} Server
+ */
+function createServer(verifier = createVerifier()) {
+    const runs = []; // Best accepted run of each player on each difficulty
+
+    /**
+     * Handle POST /runs
+     * @param {Object} submission Parsed request body {player, name, score, replay}
+     * @returns {Object} Status and reply
+     */
+    function submitRun(submission) {
+        if (typeof submission.player !== 'string' || submission.player === '' || typeof submission.name !== 'string') {
+            return { status: 400, body: { error: 'Missing player or name' } };
+        }
+
+        const result = verifier.verify(submission);
+        if (!result.valid) {
+            return { status: 422, body: { accepted: false, reason: result.reason } };
+        }
+
+        const entry = {
+            player: submission.player,
+            name: submission.name.slice(0, 12),
+            score: result.score,
+            distance: result.distance,
+            date: new Date().toISOString(),
+            difficulty: result.difficulty,
+            cause: result.cause
+        };
+
+        const previous = runs.find(run => run.player === entry.player && run.difficulty === entry.difficulty);
+        if (!previous) {
+            runs.push(entry);
+        } else if (entry.score > previous.score) {
+            Object.assign(previous, entry);
+        }
+
+        const ranked = rank(entry.difficulty);
+        return { status: 201, body: { accepted: true, rank: ranked.findIndex(run => run.player === entry.player) + 1 } };
+    }
+
+    /**
+     * Get the runs of a difficulty, best first
+     * @param {string} difficulty Difficulty profile name
+     * @param {string[]|null} players Only these players (all if null)
+     * @returns {Object[]} Runs
+     */
+    function rank(difficulty, players = null) {
+        return runs
+            .filter(run => run.difficulty === difficulty && (!players || players.includes(run.player)))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Handle GET /rankings
+     * @param {URLSearchParams} params Query {difficulty, limit, players}
+     * @returns {Object} Status and reply
+     */
+    function getRankings(params) {
+        const limit = Math.min(Math.max(parseInt(params.get('limit')) || 10, 1), 100);
+        const players = params.has('players') ? params.get('players').split(',') : null;
+
+        return { status: 200, body: { entries: rank(params.get('difficulty') || 'normal', players).slice(0, limit) } };
+    }
+
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        /**
+         * Send a JSON reply (open to any origin, like a public API)
+         * @param {Object} reply Status and body
+         */
+        const send = reply => {
+            response.writeHead(reply.status, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            response.end(reply.body ? JSON.stringify(reply.body) : undefined);
+        };
+
+        if (request.method === 'OPTIONS') {
+            send({ status: 204 });
+        } else if (request.method === 'GET' && url.pathname === '/rankings') {
+            send(getRankings(url.searchParams));
+        } else if (request.method === 'POST' && url.pathname === '/runs') {
+            let body = '';
+            request.on('data', chunk => {
+                body += chunk;
+                if (body.length > MAX_BODY_SIZE) {
+                    send({ status: 413, body: { error: 'Submission too large' } });
+                    request.destroy();
+                }
+            });
+            request.on('end', () => {
+                let submission;
+                try {
+                    submission = JSON.parse(body);
+                } catch (error) {
+                    send({ status: 400, body: { error: 'Invalid JSON' } });
+                    return;
+                }
+                send(submitRun(submission || {}));
+            });
+        } else {
+            send({ status: 404, body: { error: 'Not found' } });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2]) || 8787;
+    createServer().listen(port, () => console.log(`Stand-in leaderboard listening on http://localhost:${port}`));
+}
+
+module.exports = { createServer };
@@ -0,0 +1,111 @@
+/**
+ * Tests for the stand-in leaderboard and its verifier, using Node's built-in test runner.
+ *
+ * Usage from a shell: node --test server/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const headless = require('../js/headless.js');
+const { createServer } = require('./standInServer.js');
+const { verifyRun } = require('./verifier.js');
+
+const classes = headless.load();
+const formations = headless.loadFormations();
+
+/**
+ * Play a run with random inputs and record it the way the game does
+ * @param {string} seed Run seed
+ * @param {string} mode Game mode
+ * @returns {Object} {replay, score} with the replay serialized as in a replay file
+ */
+function recordRun(seed, mode = 'classic') {
+    const simulation = new classes.Simulation({ seed, mode, formations });
+    const replay = new classes.Replay(seed, mode, simulation.difficulty);
+    const inputs = new classes.RandomGenerator(`${seed}:inputs`);
+    simulation.reset(seed);
+
+    while (simulation.state === 'running') {
+        const actions = inputs.next() < 0.05 ? [inputs.pick(['jump', 'left', 'right', 'slide'])] : [];
+        actions.forEach(action => replay.record(simulation.tick, action));
+        simulation.step(actions);
+    }
+    replay.length = simulation.tick;
+
+    return { replay: JSON.parse(replay.serialize()), score: Math.floor(simulation.scoreManager.score) };
+}
+
+/**
+ * Start a stand-in server for one test
+ * @param {Object} t Test context (the server closes when the test ends)
+ * @returns {Promise<string>} Base URL
+ */
+function startServer(t) {
+    const server = createServer();
+    t.after(() => server.close());
+    return new Promise(resolve => server.listen(0, () => resolve(`http://localhost:${server.address().port}`)));
+}
+
+/**
+ * Submit a run like OnlineLeaderboard.submitRun
+ * @param {string} url Base URL
+ * @param {Object} run Run {replay, score}
+ * @returns {Promise<Object>} {status, body}
+ */
+function submit(url, run) {
+    return fetch(`${url}/runs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ player: 'test-player', name: 'TST', score: run.score, replay: run.replay })
+    }).then(response => response.json().then(body => ({ status: response.status, body })));
+}
+
+test('a recorded run is accepted and ranked', async t => {
+    const url = await startServer(t);
+    const run = recordRun('test-1');
+
+    const reply = await submit(url, run);
+    assert.strictEqual(reply.status, 201, JSON.stringify(reply.body));
+    assert.deepStrictEqual(reply.body, { accepted: true, rank: 1 });
+
+    const rankings = await fetch(`${url}/rankings?difficulty=normal`).then(response => response.json());
+    assert.strictEqual(rankings.entries.length, 1);
+    assert.strictEqual(rankings.entries[0].score, run.score);
+});
+
+test('a run submitted before its length is set is rejected', async t => {
+    const url = await startServer(t);
+    const run = recordRun('test-2');
+    run.replay.ticks = 0;
+
+    const reply = await submit(url, run);
+    assert.strictEqual(reply.status, 422);
+    assert.strictEqual(reply.body.reason, 'Invalid run length');
+});
+
+test('a run with an edited score is rejected', async t => {
+    const url = await startServer(t);
+    const run = recordRun('test-3');
+    run.score += 100;
+
+    const reply = await submit(url, run);
+    assert.strictEqual(reply.status, 422);
+    assert.match(reply.body.reason, /does not match replayed score/);
+});
+
+test('practice runs are not ranked', async t => {
+    const url = await startServer(t);
+
+    const reply = await submit(url, recordRun('test-4', 'lives'));
+    assert.strictEqual(reply.status, 422);
+    assert.strictEqual(reply.body.reason, 'Runs in lives mode are not ranked');
+});
+
+test('replays with an unknown mode or difficulty are rejected', () => {
+    const run = recordRun('test-5');
+
+    for (const [key, value] of [['mode', 'arcade'], ['difficulty', 'nightmare']]) {
+        const result = verifyRun(classes, formations, { score: run.score, replay: { ...run.replay, [key]: value } });
+        assert.strictEqual(result.valid, false);
+        assert.match(result.reason, /^Invalid replay: Unknown/);
+    }
+});
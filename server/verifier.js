@@ -0,0 +1,101 @@
+/**
+ * Reference verifier for online leaderboard submissions.
+ * Re-simulates a run from its seed and input log with the headless simulation
+ * (the same scripts the game runs), and rejects scores the inputs don't produce.
+ *
+ * Usage as a module:  const { createVerifier } = require('./server/verifier.js');
+ *                     const result = createVerifier().verify(submission);
+ * Usage from a shell: node server/verifier.js replay.json score
+ */
+const fs = require('fs');
+const headless = require('../js/headless.js');
+
+// Longest run verified, so a forged input log can't keep the server busy
+const MAX_TICKS = 60 * 60 * 60; // One hour at 60 ticks per second
+
+/**
+ * Create a verifier with the simulation classes and formations loaded once
+ * @param {Object} classes Classes returned by headless.load()
+ * @param {Object} formations Parsed formations file
+ * @returns {Object} Verifier with verify(submission)
+ */
+function createVerifier(classes = headless.load(), formations = headless.loadFormations()) {
+    return {
+        verify: submission => verifyRun(classes, formations, submission)
+    };
+}
+
+/**
+ * Check a submission by replaying it
+ * @param {Object} classes Classes returned by headless.load()
+ * @param {Object} formations Parsed formations file
+ * @param {Object} submission Submission {score, replay} (replay as in a replay file)
+ * @returns {Object} {valid: true, score, distance, ticks, cause, mode, difficulty} or {valid: false, reason}
+ */
+function verifyRun(classes, formations, submission) {
+    if (!submission || !Number.isInteger(submission.score) || submission.score < 0) {
+        return { valid: false, reason: 'Missing or invalid score' };
+    }
+
+    let replay;
+    try {
+        replay = classes.Replay.parse(JSON.stringify(submission.replay));
+    } catch (error) {
+        return { valid: false, reason: `Invalid replay: ${error.message}` };
+    }
+
+    if (!Number.isInteger(replay.length) || replay.length <= 0 || replay.length > MAX_TICKS) {
+        return { valid: false, reason: 'Invalid run length' };
+    }
+    if (replay.inputs.some(([tick], index) => tick < 0 || tick >= replay.length || (index > 0 && tick < replay.inputs[index - 1][0]))) {
+        return { valid: false, reason: 'Inputs out of order or outside the run' };
+    }
+
+    // Parsing has checked the mode and difficulty
+    if (!classes.Simulation.modes[replay.mode].ranked) {
+        return { valid: false, reason: `Runs in ${replay.mode} mode are not ranked` };
+    }
+
+    const simulation = new classes.Simulation({ seed: replay.seed, formations });
+    simulation.reset(replay.seed, replay.mode, replay.difficulty);
+
+    while (simulation.state === 'running' && simulation.tick < replay.length) {
+        simulation.step(replay.getActionsAt(simulation.tick));
+    }
+
+    // Submitted runs end in a crash on their last tick
+    if (simulation.state !== 'ended' || simulation.tick !== replay.length) {
+        return { valid: false, reason: 'Run does not end where the replay says' };
+    }
+
+    const score = Math.floor(simulation.scoreManager.score);
+    if (score !== submission.score) {
+        return { valid: false, reason: `Claimed score ${submission.score} does not match replayed score ${score}` };
+    }
+
+    return {
+        valid: true,
+        score: score,
+        distance: Math.floor(simulation.distance),
+        ticks: simulation.tick,
+        cause: simulation.causeOfDeath.type,
+        mode: replay.mode,
+        difficulty: replay.difficulty
+    };
+}
+
+if (require.main === module) {
+    const file = process.argv[2];
+    const score = parseInt(process.argv[3]);
+
+    if (!file || isNaN(score)) {
+        console.log('Usage: node server/verifier.js replay.json score');
+        process.exit(2);
+    }
+
+    const result = createVerifier().verify({ score, replay: JSON.parse(fs.readFileSync(file, 'utf8')) });
+    console.log(result.valid ? `Valid run: score ${result.score}, distance ${result.distance}, ${result.ticks} ticks` : `Rejected: ${result.reason}`);
+    process.exit(result.valid ? 0 : 1);
+}
+
+module.exports = { createVerifier, verifyRun, MAX_TICKS };